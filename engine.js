@@ -0,0 +1,958 @@
+/**
+ * Tetris Engine - 80s Minimalism Edition
+ * Headless game core: board, active piece, next piece, hold, score and level.
+ * Has no DOM, canvas or audio dependencies so it can run in the browser
+ * (window.TetrisEngine) or from Node (require('./engine')) for tests, bots,
+ * replays and server-side verification.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rotation'), require('./randomizer'), require('./rng'), require('./gravity'), require('./pieces'));
+    } else {
+        root.TetrisEngine = factory(root.TetrisRotation, root.TetrisRandomizer, root.TetrisRNG, root.TetrisGravity, root.TetrisPieces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TetrisRotation, TetrisRandomizer, TetrisRNG, TetrisGravity, TetrisPieces) {
+    'use strict';
+
+    // Standard tetrominoes, used when no piece set is given
+    const PIECES = TetrisPieces.PIECE_SETS.tetromino.pieces;
+
+    // Base points per number of lines cleared at once (multiplied by level)
+    const LINE_SCORES = [0, 100, 300, 500, 800];
+
+    // Guideline T-spin points by lines cleared (multiplied by level)
+    const TSPIN_SCORES = {
+        full: [400, 800, 1200, 1600],
+        mini: [100, 200, 400]
+    };
+
+    // Bonus per consecutive clear beyond the first (multiplied by combo and level)
+    const COMBO_BONUS = 50;
+
+    // Multiplier for a Tetris or line-clearing T-spin following another
+    const BACK_TO_BACK_MULTIPLIER = 1.5;
+
+    // Perfect clear bonus by lines cleared (multiplied by level)
+    const PERFECT_CLEAR_SCORES = [0, 800, 1200, 1800, 2000];
+
+    // Number of upcoming pieces the queue can preview
+    const MAX_PREVIEWS = 6;
+
+    // How a grounded piece's lock delay can be extended
+    const LOCK_RESET_MODES = {
+        move: { label: 'MOVE RESET' },   // Moves/rotations reset the timer, up to a limit
+        step: { label: 'STEP RESET' },   // Only falling to a new lowest row resets the timer
+        infinity: { label: 'INFINITY' }  // Moves/rotations always reset the timer
+    };
+
+    // Master level system: the game ends at this level, in sections of 100
+    const MASTER_MAX_LEVEL = 999;
+    const MASTER_SECTION_LEVELS = 100;
+
+    // Master entry delay (ARE) and lock delay in frames, from each section on
+    const MASTER_TIMINGS = [
+        { level: 0, are: 25, lock: 30 },
+        { level: 500, are: 25, lock: 28 },
+        { level: 600, are: 20, lock: 26 },
+        { level: 700, are: 16, lock: 24 },
+        { level: 800, are: 12, lock: 22 },
+        { level: 900, are: 10, lock: 17 }
+    ];
+
+    // Board cell value for garbage rows (drawn grey by the renderer)
+    const GARBAGE = 'garbage';
+
+    // Engine fields that change during play and are saved as they are by
+    // getState(); the RNGs and randomizer are saved through their own state
+    const STATE_KEYS = [
+        'board', 'lockTimes', 'elapsed', 'currentPiece', 'nextQueue', 'holdPiece', 'canHold',
+        'score', 'level', 'lines', 'combo', 'backToBack', 'dropTimer', 'areTimer', 'spawnPending', 'bufferedInputs',
+        'lockTimer', 'lockResets', 'lowestY', 'lastRotation', 'piecesPlaced', 'sectionTimes',
+        'sectionStart', 'time', 'timerStarted', 'isOver', 'finished', 'garbageRemaining'
+    ];
+
+    /**
+     * Actions accepted by step()
+     */
+    const ACTIONS = ['moveLeft', 'moveRight', 'softDrop', 'rotateCW', 'rotateCCW', 'rotate180', 'hardDrop', 'hold'];
+
+    class TetrisEngine {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.width=10] - Board width in cells
+         * @param {number} [options.height=20] - Visible board height in cells
+         * @param {number} [options.bufferHeight=0] - Hidden rows above the visible field where pieces spawn
+         * @param {number} [options.scale=1] - Board cells per mino side; 2 plays Big mode with 2x2 minos
+         *     on a half-size logical field (board dimensions are rounded down to a multiple of it)
+         * @param {Array} [options.pieces] - Piece definitions ({ shape, color, name, kicks })
+         * @param {string} [options.seed] - RNG seed; a random one is chosen when omitted
+         * @param {string} [options.randomizer='7bag'] - Piece generator from TetrisRandomizer.RANDOMIZERS
+         * @param {number} [options.previewCount=5] - Upcoming pieces kept in the next queue (1-6)
+         * @param {number} [options.lockDelay=500] - Milliseconds a grounded piece waits before locking
+         * @param {string} [options.lockResetMode='move'] - One of LOCK_RESET_MODES
+         * @param {number} [options.lockResetLimit=15] - Resets allowed per piece in 'move' mode
+         * @param {number} [options.lineGoal=0] - Finish once this many lines are cleared (0 = endless)
+         * @param {number} [options.timeLimit=0] - Finish after this many milliseconds of play (0 = untimed)
+         * @param {number} [options.garbageRows=0] - Start with this many garbage rows and finish once they are all cleared
+         * @param {number} [options.garbageMessiness=0] - Chance (0-1) that each garbage row's hole moves from the row below
+         * @param {string} [options.gravityCurve='linear'] - Speed curve from TetrisGravity.CURVES
+         * @param {number} [options.dropInterval] - Fixed milliseconds per gravity row (Infinity = no gravity),
+         *     overriding the curve
+         * @param {boolean} [options.topOutClears=false] - Clear the board on top-out instead of ending the game
+         * @param {string} [options.levelSystem='lines'] - 'lines' (a level per 10 lines) or 'master'
+         *     (levels 0-999 rising per piece and per line, TGM gravity, shrinking ARE and lock delay)
+         * @param {number} [options.are=0] - Entry delay in milliseconds between a lock and the next piece;
+         *     actions sent during it are applied when the next piece spawns
+         * @throws {Error} If the widest piece does not fit the field, which would lose the game at spawn
+         */
+        constructor(options = {}) {
+            this.scale = options.scale || 1;
+            const fit = cells => Math.floor(cells / this.scale) * this.scale;
+            this.BOARD_WIDTH = fit(options.width || 10);
+            this.VISIBLE_HEIGHT = fit(options.height || 20);
+            this.BUFFER_HEIGHT = fit(options.bufferHeight || 0);
+            this.BOARD_HEIGHT = this.VISIBLE_HEIGHT + this.BUFFER_HEIGHT; // Rows 0 to BUFFER_HEIGHT - 1 are hidden
+            this.pieces = options.pieces || PIECES;
+            const pieceSize = TetrisPieces.getMaxPieceSize(this.pieces);
+            if (pieceSize > this.BOARD_WIDTH / this.scale) {
+                throw new Error(`Pieces ${pieceSize} cells wide do not fit a field ${this.BOARD_WIDTH / this.scale} cells wide`);
+            }
+            this.seed = options.seed !== undefined && options.seed !== '' ? String(options.seed) : TetrisRNG.randomSeed();
+            this.randomizerType = options.randomizer || TetrisRandomizer.DEFAULT_RANDOMIZER;
+            this.previewCount = Math.min(MAX_PREVIEWS, Math.max(1, options.previewCount || 5));
+            this.lockDelay = options.lockDelay !== undefined ? options.lockDelay : 500;
+            this.lockResetMode = LOCK_RESET_MODES[options.lockResetMode] ? options.lockResetMode : 'move';
+            this.lockResetLimit = options.lockResetLimit !== undefined ? options.lockResetLimit : 15;
+            this.lineGoal = options.lineGoal || 0;
+            this.timeLimit = options.timeLimit || 0;
+            this.garbageRows = Math.min(options.garbageRows || 0, this.VISIBLE_HEIGHT - 2); // Leave room to play
+            this.garbageMessiness = options.garbageMessiness || 0;
+            this.gravityCurve = TetrisGravity.CURVES[options.gravityCurve] ? options.gravityCurve : TetrisGravity.DEFAULT_CURVE;
+            this.fixedDropInterval = options.dropInterval || null;
+            this.topOutClears = options.topOutClears || false;
+            this.levelSystem = options.levelSystem === 'master' ? 'master' : 'lines';
+            this.are = options.are || 0;
+            this.baseLockDelay = this.lockDelay;
+            this.baseAre = this.are;
+
+            this.listeners = {};
+            this.reset();
+        }
+
+        /**
+         * Subscribe to an engine event. Returns an unsubscribe function.
+         *
+         * Events: move, blocked, rotate, hardDrop, lock, tSpin, lineClear,
+         * levelUp, section, hold, spawn, topOut, finish, gameOver
+         */
+        on(type, handler) {
+            if (!this.listeners[type]) {
+                this.listeners[type] = [];
+            }
+            this.listeners[type].push(handler);
+            return () => this.off(type, handler);
+        }
+
+        /**
+         * Remove an event handler
+         */
+        off(type, handler) {
+            if (!this.listeners[type]) return;
+            this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+        }
+
+        /**
+         * Notify subscribers of an event
+         */
+        emit(type, payload = {}) {
+            const listeners = this.listeners[type];
+            if (!listeners) return;
+            for (const listener of listeners.slice()) {
+                listener(payload);
+            }
+        }
+
+        /**
+         * Reset all game state to an empty board. The RNG restarts from the
+         * seed, so a reset game deals the same pieces again.
+         */
+        reset() {
+            this.board = this.createBoard();
+            this.elapsed = 0;                   // Milliseconds stepped since the game began
+            this.lockTimes = this.createBoard(); // `elapsed` when each board cell was filled
+            this.rng = new TetrisRNG(this.seed);
+
+            // Garbage has its own stream so it never shifts the piece sequence
+            this.garbageRng = new TetrisRNG(this.seed + ':garbage');
+            this.addGarbage(this.garbageRows);
+
+            this.randomizer = TetrisRandomizer.createRandomizer(this.randomizerType, this.pieces, () => this.rng.next());
+            this.currentPiece = null;
+            this.nextQueue = [];
+            this.holdPiece = null;
+            this.canHold = true;
+            this.score = 0;
+            this.level = this.levelSystem === 'master' ? 0 : 1;
+            this.lines = 0;
+            this.combo = -1;       // Consecutive clears minus one; -1 when no chain is running
+            this.backToBack = -1;  // Consecutive difficult clears minus one; -1 when none
+            this.updateGravity();
+            this.updateTimings();
+            this.dropTimer = 0;
+            this.areTimer = 0;
+            this.spawnPending = false;  // Waiting out the entry delay
+            this.bufferedInputs = [];   // Actions sent during the entry delay, for the next piece
+            this.resetLockState();
+            this.lastRotation = null;
+            this.piecesPlaced = 0;
+            this.sectionTimes = [];     // Master: milliseconds taken for each completed section
+            this.sectionStart = 0;
+            this.time = 0;              // Play time in milliseconds since the first input
+            this.timerStarted = false;
+            this.isOver = false;
+            this.finished = false;      // Over by reaching the mode's goal rather than topping out
+        }
+
+        /**
+         * Snapshot of the game in progress as plain JSON-safe data. An engine
+         * built with the same options continues exactly from it after
+         * setState().
+         */
+        getState() {
+            const state = {};
+            for (const key of STATE_KEYS) {
+                state[key] = this[key];
+            }
+            return JSON.parse(JSON.stringify({
+                ...state,
+                rng: this.rng.getState(),
+                garbageRng: this.garbageRng.getState(),
+                randomizer: this.randomizer.getState()
+            }));
+        }
+
+        /**
+         * Restore a snapshot from getState()
+         *
+         * @throws {Error} If the snapshot is for a different board size
+         */
+        setState(state) {
+            if (!Array.isArray(state.board) || state.board.length !== this.BOARD_HEIGHT ||
+                state.board.some(row => row.length !== this.BOARD_WIDTH)) {
+                throw new Error(`Saved game does not fit a ${this.BOARD_WIDTH}x${this.BOARD_HEIGHT} board`);
+            }
+
+            const copy = JSON.parse(JSON.stringify(state));
+            for (const key of STATE_KEYS) {
+                this[key] = copy[key];
+            }
+            this.rng.setState(copy.rng);
+            this.garbageRng.setState(copy.garbageRng);
+            this.randomizer.setState(copy.randomizer);
+
+            // Speeds and delays follow from the level
+            this.updateGravity();
+            this.updateTimings();
+        }
+
+        /**
+         * Clear lock delay tracking for a newly active piece
+         */
+        resetLockState() {
+            this.lockTimer = 0;
+            this.lockResets = 0;
+            this.lowestY = this.currentPiece ? this.currentPiece.y : 0;
+        }
+
+        /**
+         * Create an empty board
+         */
+        createBoard() {
+            return Array(this.BOARD_HEIGHT).fill().map(() => Array(this.BOARD_WIDTH).fill(0));
+        }
+
+        /**
+         * Push garbage rows up from the bottom of the board. Each row is full
+         * except for one hole, which stays in the column of the hole below
+         * unless the messiness roll moves it. In Big mode rows come in
+         * mino-sized bands with mino-wide holes.
+         */
+        addGarbage(count) {
+            const columns = this.BOARD_WIDTH / this.scale;
+            let hole = -1;
+            for (let i = 0; i < Math.ceil(count / this.scale) * this.scale; i++) {
+                if (i % this.scale === 0 && (hole < 0 || this.garbageRng.next() < this.garbageMessiness)) {
+                    // Pick a new column, never the one just used
+                    const offset = Math.floor(this.garbageRng.next() * (columns - (hole < 0 ? 0 : 1)));
+                    hole = hole < 0 || offset < hole ? offset : offset + 1;
+                }
+                const row = Array(this.BOARD_WIDTH).fill(GARBAGE);
+                row.fill(0, hole * this.scale, (hole + 1) * this.scale);
+                this.board.shift();
+                this.board.push(row);
+                this.lockTimes.shift();
+                this.lockTimes.push(Array(this.BOARD_WIDTH).fill(this.elapsed));
+            }
+            this.garbageRemaining = this.countGarbageRows();
+        }
+
+        /**
+         * Count rows that still contain garbage, in minos (Big mode bands count once)
+         */
+        countGarbageRows() {
+            return this.board.filter(row => row.includes(GARBAGE)).length / this.scale;
+        }
+
+        /**
+         * Start play by spawning the first piece
+         */
+        start() {
+            this.fillQueue();
+            this.spawnPiece();
+        }
+
+        /**
+         * Advance the game: apply the given inputs in order, then apply
+         * gravity and lock delay for dt milliseconds of elapsed time.
+         *
+         * @param {string[]} inputs - Actions from ACTIONS
+         * @param {number} dt - Elapsed time in milliseconds
+         */
+        step(inputs = [], dt = 0) {
+            if (this.isOver) return;
+            this.elapsed += dt;
+
+            // The clock starts with the player's first input
+            if (this.timerStarted) {
+                this.time += dt;
+                if (this.timeLimit && this.time >= this.timeLimit) {
+                    this.time = this.timeLimit;
+                    this.finish();
+                    return;
+                }
+            } else if (inputs.length > 0) {
+                this.timerStarted = true;
+            }
+
+            // Entry delay between a lock and the next piece. Actions sent
+            // meanwhile apply to the new piece as it spawns, so rotations and
+            // holds made early are not lost (TGM's initial rotation and hold).
+            if (this.spawnPending) {
+                this.bufferedInputs.push(...inputs);
+                this.areTimer -= dt;
+                if (this.areTimer > 0) return;
+                this.spawnPending = false;
+                this.spawnPiece();
+                inputs = this.bufferedInputs;
+                this.bufferedInputs = [];
+            }
+
+            for (const action of inputs) {
+                if (this.isOver || !this.currentPiece) return;
+                this.applyInput(action);
+            }
+
+            if (this.isOver || !this.currentPiece) return;
+
+            this.applyGravity(dt);
+            this.updateLockDelay(dt);
+        }
+
+        /**
+         * Drop the piece one row per elapsed drop interval. Intervals shorter
+         * than a step drop several rows at once, down to the floor at 20G.
+         */
+        applyGravity(dt) {
+            if (this.isGrounded()) {
+                this.dropTimer = 0;
+                return;
+            }
+
+            this.dropTimer += dt;
+            while (this.dropTimer >= this.dropInterval && !this.isGrounded()) {
+                this.dropTimer -= this.dropInterval;
+                this.movePiece(0, 1);
+            }
+            if (this.isGrounded()) {
+                this.dropTimer = 0;
+            }
+        }
+
+        /**
+         * Set the drop interval for the current level from the gravity curve
+         */
+        updateGravity() {
+            if (this.fixedDropInterval) {
+                this.dropInterval = this.fixedDropInterval;
+            } else if (this.levelSystem === 'master') {
+                this.dropInterval = TetrisGravity.intervalForGravity(TetrisGravity.tgmGravity(this.level));
+            } else {
+                this.dropInterval = TetrisGravity.getDropInterval(this.gravityCurve, this.level);
+            }
+        }
+
+        /**
+         * Set ARE and lock delay; master mode shortens them section by section
+         */
+        updateTimings() {
+            if (this.levelSystem !== 'master') {
+                this.are = this.baseAre;
+                this.lockDelay = this.baseLockDelay;
+                return;
+            }
+
+            const timing = MASTER_TIMINGS.filter(entry => this.level >= entry.level).pop();
+            this.are = timing.are * TetrisGravity.FRAME_MS;
+            this.lockDelay = timing.lock * TetrisGravity.FRAME_MS;
+        }
+
+        /**
+         * Multiplier applied to clear points: the level, or the section
+         * number (1-10) in master mode
+         */
+        getScoreMultiplier() {
+            return this.levelSystem === 'master' ? Math.floor(this.level / MASTER_SECTION_LEVELS) + 1 : this.level;
+        }
+
+        /**
+         * Whether the current piece is resting on the stack or floor
+         */
+        isGrounded() {
+            return this.checkCollision(this.currentPiece, 0, 1);
+        }
+
+        /**
+         * Run the lock timer while the piece is grounded and lock it once
+         * the delay expires (or immediately once move resets run out)
+         */
+        updateLockDelay(dt) {
+            if (!this.isGrounded()) return;
+
+            this.lockTimer += dt;
+            const resetsExhausted = this.lockResetMode === 'move' && this.lockResets >= this.lockResetLimit;
+            if (this.lockTimer >= this.lockDelay || resetsExhausted) {
+                this.placePiece();
+            }
+        }
+
+        /**
+         * Update lock delay after the piece successfully moved or rotated
+         */
+        onPieceMoved() {
+            const piece = this.currentPiece;
+
+            // Reaching a new lowest row always starts a fresh lock delay
+            if (piece.y > this.lowestY) {
+                this.lowestY = piece.y;
+                this.lockTimer = 0;
+                this.lockResets = 0;
+                return;
+            }
+
+            if (this.lockResetMode === 'infinity') {
+                this.lockTimer = 0;
+            } else if (this.lockResetMode === 'move' && (this.lockTimer > 0 || this.isGrounded())) {
+                if (this.lockResets < this.lockResetLimit) {
+                    this.lockTimer = 0;
+                }
+                this.lockResets++;
+            }
+        }
+
+        /**
+         * Apply a single action to the current piece
+         */
+        applyInput(action) {
+            switch (action) {
+                case 'moveLeft':
+                    this.movePiece(-1, 0);
+                    break;
+                case 'moveRight':
+                    this.movePiece(1, 0);
+                    break;
+                case 'softDrop':
+                    this.movePiece(0, 1);
+                    break;
+                case 'rotateCW':
+                    this.rotatePiece(1);
+                    break;
+                case 'rotateCCW':
+                    this.rotatePiece(-1);
+                    break;
+                case 'rotate180':
+                    this.rotatePiece(2);
+                    break;
+                case 'hardDrop':
+                    this.hardDrop();
+                    break;
+                case 'hold':
+                    this.holdCurrentPiece();
+                    break;
+                default:
+                    throw new Error(`Unknown action: ${action}`);
+            }
+        }
+
+        /**
+         * Check collision for piece movement
+         */
+        checkCollision(piece, dx, dy) {
+            return this.getPieceCells(piece, dx, dy).some(({ x, y }) =>
+                x < 0 || x >= this.BOARD_WIDTH || y >= this.BOARD_HEIGHT || (y >= 0 && this.board[y][x] !== 0));
+        }
+
+        /**
+         * Board cells a piece covers when offset by (dx, dy). Piece positions
+         * are in minos; each mino covers scale x scale board cells.
+         *
+         * @returns {Array<{x: number, y: number}>}
+         */
+        getPieceCells(piece, dx = 0, dy = 0) {
+            const cells = [];
+            for (let y = 0; y < piece.shape.length; y++) {
+                for (let x = 0; x < piece.shape[y].length; x++) {
+                    if (!piece.shape[y][x]) continue;
+                    for (let i = 0; i < this.scale * this.scale; i++) {
+                        cells.push({
+                            x: (piece.x + dx + x) * this.scale + (i % this.scale),
+                            y: (piece.y + dy + y) * this.scale + Math.floor(i / this.scale)
+                        });
+                    }
+                }
+            }
+            return cells;
+        }
+
+        /**
+         * Move piece; grounded pieces lock through the lock delay
+         */
+        movePiece(dx, dy) {
+            if (!this.checkCollision(this.currentPiece, dx, dy)) {
+                this.currentPiece.x += dx;
+                this.currentPiece.y += dy;
+                this.lastRotation = null;
+                this.onPieceMoved();
+                this.emit('move', { dx, dy });
+                return true;
+            }
+
+            this.emit('blocked', { dx, dy });
+            return false;
+        }
+
+        /**
+         * Hard drop piece
+         */
+        hardDrop() {
+            let dropDistance = 0;
+            while (!this.checkCollision(this.currentPiece, 0, 1)) {
+                this.currentPiece.y++;
+                dropDistance++;
+            }
+            // Dropping, like any other move, means the last move was not a rotation
+            if (dropDistance > 0) {
+                this.lastRotation = null;
+            }
+
+            const points = dropDistance * 2; // Bonus points for hard drop
+            this.score += points;
+            this.emit('hardDrop', { distance: dropDistance, points });
+            this.placePiece();
+        }
+
+        /**
+         * Rotate piece using SRS wall kicks
+         *
+         * @param {number} [turns=1] - 1 clockwise, -1 counter-clockwise, 2 for 180
+         */
+        rotatePiece(turns = 1) {
+            const piece = this.currentPiece;
+            if (piece.kicks === null) return false;
+
+            const from = piece.rotation;
+            const to = (from + turns + 4) % 4;
+            const rotated = {
+                ...piece,
+                shape: TetrisRotation.rotateMatrix(piece.shape, turns),
+                rotation: to
+            };
+
+            for (const kick of TetrisRotation.getKicks(piece, from, to)) {
+                if (!this.checkCollision(rotated, kick.x, kick.y)) {
+                    piece.shape = rotated.shape;
+                    piece.rotation = to;
+                    piece.x += kick.x;
+                    piece.y += kick.y;
+                    this.lastRotation = { from, to, kick };
+                    this.onPieceMoved();
+                    this.emit('rotate', { from, to, turns, kick });
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        /**
+         * Place a piece at the spawn position in its spawn orientation: with
+         * a buffer, its top row starts in the lowest hidden row
+         */
+        createSpawnPiece(piece) {
+            const shape = TetrisRotation.rotateMatrix(piece.shape, -(piece.rotation || 0));
+            return {
+                ...piece,
+                shape,
+                rotation: 0,
+                x: Math.floor((this.BOARD_WIDTH / this.scale - shape[0].length) / 2),
+                y: Math.max(0, this.BUFFER_HEIGHT / this.scale - 1)
+            };
+        }
+
+        /**
+         * Hold current piece
+         */
+        holdCurrentPiece() {
+            if (!this.canHold) return false;
+
+            const held = this.createSpawnPiece(this.currentPiece);
+
+            if (this.holdPiece === null) {
+                this.holdPiece = held;
+                this.spawnPiece();
+            } else {
+                this.currentPiece = this.holdPiece;
+                this.holdPiece = held;
+                this.dropTimer = 0;
+                this.resetLockState();
+                this.lastRotation = null;
+                this.checkBlockOut();
+            }
+
+            this.canHold = false;
+            if (this.isOver) return true;
+            this.emit('hold', { piece: this.holdPiece });
+            return true;
+        }
+
+        /**
+         * Place piece on board, clear lines and spawn the next piece
+         */
+        placePiece() {
+            const piece = this.currentPiece;
+            const tSpin = this.detectTSpin();
+            const cells = this.getPieceCells(piece);
+            for (const { x, y } of cells) {
+                if (y >= 0) {
+                    this.board[y][x] = piece.color;
+                    this.lockTimes[y][x] = this.elapsed;
+                }
+            }
+
+            this.piecesPlaced++;
+            this.emit('lock', { piece });
+
+            // Locking entirely inside the hidden buffer tops out (lock out)
+            if (cells.every(({ y }) => y < this.BUFFER_HEIGHT)) {
+                this.topOut();
+                if (this.isOver) return;
+            }
+
+            const linesCleared = this.clearLines(tSpin);
+            this.advanceLevel(linesCleared);
+
+            if (this.isGoalReached()) {
+                this.finish();
+                return;
+            }
+
+            if (this.are > 0) {
+                this.currentPiece = null;
+                this.spawnPending = true;
+                this.areTimer = this.are;
+                return;
+            }
+
+            this.spawnPiece();
+        }
+
+        /**
+         * Update the level after a piece locks. Normally the level rises every
+         * 10 lines. Master levels rise by one per piece and by one per line
+         * cleared, but a piece alone never completes a section (x99) or the
+         * game (998).
+         */
+        advanceLevel(linesCleared) {
+            const oldLevel = this.level;
+
+            if (this.levelSystem === 'master') {
+                const atStop = this.level % MASTER_SECTION_LEVELS === MASTER_SECTION_LEVELS - 1 || this.level === MASTER_MAX_LEVEL - 1;
+                this.level = Math.min(MASTER_MAX_LEVEL, this.level + (atStop ? 0 : 1) + linesCleared);
+            } else {
+                this.level = Math.floor(this.lines / 10) + 1;
+            }
+
+            if (this.level === oldLevel) return;
+
+            this.updateGravity();
+            this.updateTimings();
+
+            if (this.levelSystem !== 'master') {
+                this.emit('levelUp', { level: this.level });
+                return;
+            }
+
+            // Record the time of every section completed
+            const section = Math.floor(this.level / MASTER_SECTION_LEVELS);
+            while (this.sectionTimes.length < section) {
+                this.completeSection();
+            }
+            if (section > Math.floor(oldLevel / MASTER_SECTION_LEVELS)) {
+                this.emit('levelUp', { level: this.level });
+            }
+        }
+
+        /**
+         * Close the current master section and start timing the next
+         */
+        completeSection() {
+            const time = this.time - this.sectionStart;
+            this.sectionTimes.push(time);
+            this.sectionStart = this.time;
+            this.emit('section', { section: this.sectionTimes.length - 1, time });
+        }
+
+        /**
+         * Whether the mode's goal (line count or cleared garbage) has been met
+         */
+        isGoalReached() {
+            if (this.lineGoal && this.lines >= this.lineGoal) return true;
+            if (this.garbageRows && this.garbageRemaining === 0) return true;
+            if (this.levelSystem === 'master' && this.level >= MASTER_MAX_LEVEL) return true;
+            return false;
+        }
+
+        /**
+         * End the game successfully, on reaching the goal or time limit
+         */
+        finish() {
+            // The final master section ends at level 999 rather than 1000
+            if (this.levelSystem === 'master' && this.sectionTimes.length < MASTER_MAX_LEVEL / MASTER_SECTION_LEVELS) {
+                this.completeSection();
+            }
+
+            this.isOver = true;
+            this.finished = true;
+            this.emit('finish', {
+                time: this.time,
+                pieces: this.piecesPlaced,
+                lines: this.lines,
+                score: this.score
+            });
+        }
+
+        /**
+         * Spawn a new piece
+         */
+        spawnPiece() {
+            // Take the front of the queue and top it back up
+            this.fillQueue();
+            this.currentPiece = this.createSpawnPiece(this.nextQueue.shift());
+            this.fillQueue();
+
+            // Reset hold ability
+            this.canHold = true;
+            this.dropTimer = 0;
+            this.resetLockState();
+            this.lastRotation = null;
+
+            if (this.checkBlockOut()) return;
+
+            this.emit('spawn', { piece: this.currentPiece });
+        }
+
+        /**
+         * Top out if the piece that just entered overlaps the stack (block out)
+         *
+         * @returns {boolean} Whether the game ended
+         */
+        checkBlockOut() {
+            if (!this.checkCollision(this.currentPiece, 0, 0)) return false;
+            this.topOut();
+            return this.isOver;
+        }
+
+        /**
+         * End the game, or in endless modes wipe the board and play on
+         */
+        topOut() {
+            if (!this.topOutClears) {
+                this.isOver = true;
+                this.emit('gameOver');
+                return;
+            }
+
+            this.board = this.createBoard();
+            this.lockTimes = this.createBoard();
+            this.garbageRemaining = 0;
+            this.emit('topOut');
+        }
+
+        /**
+         * Keep the next queue filled ahead of time
+         */
+        fillQueue() {
+            while (this.nextQueue.length < this.previewCount) {
+                this.nextQueue.push(this.getRandomPiece());
+            }
+        }
+
+        /**
+         * Take the next piece from the randomizer
+         */
+        getRandomPiece() {
+            return { ...this.randomizer.next() };
+        }
+
+        /**
+         * Check whether the current piece is locking as a T-spin.
+         *
+         * Uses the 3-corner rule: the last successful action must be a
+         * rotation and at least three of the four cells diagonal to the T's
+         * centre must be filled (walls and floor count). It is a full T-spin
+         * when both corners beside the T's pointing side are filled, or when
+         * the rotation needed the long (1, 2) kick; otherwise it is a mini.
+         *
+         * @returns {string|null} 'full', 'mini' or null
+         */
+        detectTSpin() {
+            const piece = this.currentPiece;
+            if (piece.name !== 'T' || piece.shape.length !== 3 || !this.lastRotation) return null;
+
+            const isFilled = (x, y) => {
+                const boardX = (piece.x + x) * this.scale;
+                const boardY = (piece.y + y) * this.scale;
+                if (boardX < 0 || boardX >= this.BOARD_WIDTH || boardY >= this.BOARD_HEIGHT) return true;
+                return boardY >= 0 && this.board[boardY][boardX] !== 0;
+            };
+
+            // Corners of the 3x3 box, clockwise from top-left; the T points
+            // between corners `rotation` and `rotation + 1`
+            const corners = [[0, 0], [2, 0], [2, 2], [0, 2]].map(([x, y]) => isFilled(x, y));
+            if (corners.filter(Boolean).length < 3) return null;
+
+            const rotation = piece.rotation;
+            const frontFilled = corners[rotation] && corners[(rotation + 1) % 4];
+            // Only a quarter turn's final (1, 2) kick upgrades a mini; the
+            // SRS+ 180 table has kicks of that size too
+            const { from, to, kick } = this.lastRotation;
+            const quarterTurn = Math.abs(to - from) % 2 === 1;
+            const longKick = quarterTurn && Math.abs(kick.x) === 1 && Math.abs(kick.y) === 2;
+
+            return frontFilled || longKick ? 'full' : 'mini';
+        }
+
+        /**
+         * Clear completed lines and update score, combo and back-to-back
+         * chain. Returns the number of lines cleared.
+         *
+         * @param {string|null} [tSpin] - Result of detectTSpin() for the piece just locked
+         */
+        clearLines(tSpin = null) {
+            const rows = [];
+            for (let y = 0; y < this.BOARD_HEIGHT; y++) {
+                if (this.board[y].every(cell => cell !== 0)) {
+                    rows.push(y);
+                }
+            }
+
+            // Big mode clears bands of `scale` rows, each counting as one line
+            const linesCleared = rows.length / this.scale;
+            const table = tSpin ? TSPIN_SCORES[tSpin] : LINE_SCORES;
+            const multiplier = this.getScoreMultiplier();
+            let points = table[Math.min(linesCleared, table.length - 1)] * multiplier;
+
+            if (linesCleared === 0) {
+                // Placing a piece without clearing breaks the combo, but
+                // T-spins still score
+                this.combo = -1;
+                this.score += points;
+                if (tSpin) {
+                    this.emit('tSpin', { type: tSpin, lines: 0, points });
+                }
+                return 0;
+            }
+
+            // Tetrises and T-spins chain back-to-back; any other clear breaks it
+            const difficult = linesCleared >= 4 || tSpin !== null;
+            this.backToBack = difficult ? this.backToBack + 1 : -1;
+            const backToBack = this.backToBack > 0;
+            if (backToBack) {
+                points = Math.floor(points * BACK_TO_BACK_MULTIPLIER);
+            }
+
+            this.combo++;
+            points += COMBO_BONUS * this.combo * multiplier;
+
+            // Remove cleared lines and refill from the top
+            this.board = this.board.filter((row, y) => !rows.includes(y));
+            this.lockTimes = this.lockTimes.filter((row, y) => !rows.includes(y));
+            while (this.board.length < this.BOARD_HEIGHT) {
+                this.board.unshift(Array(this.BOARD_WIDTH).fill(0));
+                this.lockTimes.unshift(Array(this.BOARD_WIDTH).fill(0));
+            }
+            this.garbageRemaining = this.countGarbageRows();
+
+            const perfectClear = this.board.every(row => row.every(cell => cell === 0));
+            if (perfectClear) {
+                points += PERFECT_CLEAR_SCORES[Math.min(linesCleared, 4)] * multiplier;
+            }
+
+            this.lines += linesCleared;
+            this.score += points;
+
+            if (tSpin) {
+                this.emit('tSpin', { type: tSpin, lines: linesCleared, points });
+            }
+
+            this.emit('lineClear', {
+                lines: linesCleared,
+                rows,
+                points,
+                tSpin,
+                combo: this.combo,
+                backToBack,
+                perfectClear
+            });
+
+            return linesCleared;
+        }
+
+        /**
+         * Get ghost piece Y position
+         */
+        getGhostPieceY() {
+            if (!this.currentPiece) return 0;
+
+            let ghostY = this.currentPiece.y;
+            while (!this.checkCollision(this.currentPiece, 0, ghostY - this.currentPiece.y + 1)) {
+                ghostY++;
+            }
+            return ghostY;
+        }
+    }
+
+    TetrisEngine.PIECES = PIECES;
+    TetrisEngine.LINE_SCORES = LINE_SCORES;
+    TetrisEngine.TSPIN_SCORES = TSPIN_SCORES;
+    TetrisEngine.PERFECT_CLEAR_SCORES = PERFECT_CLEAR_SCORES;
+    TetrisEngine.ACTIONS = ACTIONS;
+    TetrisEngine.GARBAGE = GARBAGE;
+    TetrisEngine.MASTER_MAX_LEVEL = MASTER_MAX_LEVEL;
+    TetrisEngine.MASTER_SECTION_LEVELS = MASTER_SECTION_LEVELS;
+    TetrisEngine.MASTER_TIMINGS = MASTER_TIMINGS;
+    TetrisEngine.MAX_PREVIEWS = MAX_PREVIEWS;
+    TetrisEngine.LOCK_RESET_MODES = LOCK_RESET_MODES;
+
+    return TetrisEngine;
+});
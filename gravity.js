@@ -0,0 +1,107 @@
+/**
+ * Tetris Gravity - 80s Minimalism Edition
+ * Speed curves mapping the level to milliseconds per row of gravity.
+ * Intervals can be far below one frame: the engine drops several rows per
+ * step when they are, so 20G (20 rows per frame) lands pieces instantly.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisGravity = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // One frame at 60 Hz; gravity in G is rows per frame
+    const FRAME_MS = 1000 / 60;
+
+    // Fastest gravity any curve reaches: 20 rows per frame
+    const MAX_GRAVITY = 20;
+
+    // NES frames per row for levels 0-28; level 29 and up is 1 frame
+    const NES_FRAMES = [48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2];
+    const NES_FRAME_MS = 1000 / 60.0988;
+
+    // TGM internal gravity as [from internal level, 1/256ths of a row per frame]
+    const TGM_GRAVITY = [
+        [0, 4], [30, 6], [35, 8], [40, 10], [50, 12], [60, 16], [70, 32],
+        [80, 48], [90, 64], [100, 80], [120, 96], [140, 112], [160, 128],
+        [170, 144], [200, 4], [220, 32], [230, 64], [233, 96], [236, 128],
+        [239, 160], [243, 192], [247, 224], [251, 256], [300, 512],
+        [330, 768], [360, 1024], [400, 1280], [420, 1024], [450, 768],
+        [500, 5120]
+    ];
+
+    // TGM internal levels covered by each engine level on the 'tgm' curve
+    const TGM_LEVELS_PER_LEVEL = 25;
+
+    /**
+     * Milliseconds per row for a gravity in rows per frame, capped at 20G
+     */
+    function intervalForGravity(rowsPerFrame) {
+        return FRAME_MS / Math.min(rowsPerFrame, MAX_GRAVITY);
+    }
+
+    /**
+     * Gravity in rows per frame at a TGM internal level (0-999)
+     */
+    function tgmGravity(internalLevel) {
+        let gravity = TGM_GRAVITY[0][1];
+        for (const [from, value] of TGM_GRAVITY) {
+            if (internalLevel < from) break;
+            gravity = value;
+        }
+        return gravity / 256;
+    }
+
+    // Selectable curves by name; each maps a level (1 and up) to ms per row
+    const CURVES = {
+        linear: {
+            label: 'LINEAR',
+            interval: level => Math.max(50, 1000 - (level - 1) * 50)
+        },
+        guideline: {
+            label: 'GUIDELINE',
+            interval: level => {
+                const seconds = Math.pow(Math.max(0, 0.8 - (level - 1) * 0.007), level - 1);
+                return Math.max(seconds * 1000, intervalForGravity(MAX_GRAVITY));
+            }
+        },
+        nes: {
+            label: 'NES',
+            interval: level => {
+                const frames = level - 1 < NES_FRAMES.length ? NES_FRAMES[level - 1] : 1;
+                return frames * NES_FRAME_MS;
+            }
+        },
+        tgm: {
+            label: 'TGM (20G)',
+            interval: level => intervalForGravity(tgmGravity((level - 1) * TGM_LEVELS_PER_LEVEL))
+        }
+    };
+
+    const DEFAULT_CURVE = 'linear';
+
+    /**
+     * Milliseconds per row for a curve at a level
+     */
+    function getDropInterval(curve, level) {
+        const entry = CURVES[curve];
+        if (!entry) {
+            throw new Error(`Unknown gravity curve: ${curve}`);
+        }
+        return entry.interval(level);
+    }
+
+    return {
+        CURVES,
+        DEFAULT_CURVE,
+        FRAME_MS,
+        MAX_GRAVITY,
+        intervalForGravity,
+        tgmGravity,
+        getDropInterval
+    };
+});
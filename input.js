@@ -0,0 +1,228 @@
+/**
+ * Tetris Input - 80s Minimalism Edition
+ * Handling model that turns pressed/released actions into engine actions
+ * with configurable DAS, ARR, soft drop factor and DAS cut, independent of
+ * the operating system's key repeat rate. Has no DOM dependencies.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisInput = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default handling, in milliseconds (soft drop factor is a gravity multiplier)
+    const DEFAULT_HANDLING = {
+        das: 167,
+        arr: 33,
+        softDropFactor: 20,
+        dasCut: 0
+    };
+
+    // Actions that auto-repeat while held
+    const HELD_ACTIONS = ['moveLeft', 'moveRight', 'softDrop'];
+
+    class TetrisInput {
+        /**
+         * @param {Object} [handling]
+         * @param {number} [handling.das=167] - Delayed auto shift: hold time before repeating
+         * @param {number} [handling.arr=33] - Auto repeat rate: time between repeats (0 = instant)
+         * @param {number} [handling.softDropFactor=20] - Soft drop speed as a multiple of gravity (Infinity = instant)
+         * @param {number} [handling.dasCut=0] - Pause auto shift after a rotation, hold or new piece
+         */
+        constructor(handling = {}) {
+            this.das = handling.das !== undefined ? handling.das : DEFAULT_HANDLING.das;
+            this.arr = handling.arr !== undefined ? handling.arr : DEFAULT_HANDLING.arr;
+            this.softDropFactor = handling.softDropFactor || DEFAULT_HANDLING.softDropFactor;
+            this.dasCut = handling.dasCut !== undefined ? handling.dasCut : DEFAULT_HANDLING.dasCut;
+
+            this.pending = [];
+            this.presses = 0;   // Distinct presses and triggers, for keys-per-piece stats
+            this.releaseAll();
+        }
+
+        /**
+         * Start holding a movement or soft drop action; it fires once now
+         * and then auto-repeats from update()
+         */
+        press(action) {
+            if (!HELD_ACTIONS.includes(action)) {
+                this.trigger(action);
+                return;
+            }
+            if (this.held[action]) return;
+
+            this.held[action] = true;
+            this.presses++;
+            this.pending.push(action);
+
+            if (action === 'softDrop') {
+                this.softDropTimer = 0;
+            } else {
+                // The most recently pressed direction wins
+                this.direction = action;
+                this.dasTimer = 0;
+                this.arrTimer = 0;
+            }
+        }
+
+        /**
+         * Stop holding an action
+         */
+        release(action) {
+            if (!this.held[action]) return;
+            this.held[action] = false;
+
+            if (action === this.direction) {
+                // Fall back to the other direction if it is still held, charging DAS afresh
+                const other = action === 'moveLeft' ? 'moveRight' : 'moveLeft';
+                this.direction = this.held[other] ? other : null;
+                this.dasTimer = 0;
+                this.arrTimer = 0;
+            }
+        }
+
+        /**
+         * Release everything, e.g. when the window loses focus
+         */
+        releaseAll() {
+            this.held = { moveLeft: false, moveRight: false, softDrop: false };
+            this.direction = null;
+            this.dasTimer = 0;
+            this.arrTimer = 0;
+            this.softDropTimer = 0;
+            this.cutTimer = 0;
+        }
+
+        /**
+         * Queue a one-shot action (rotate, hard drop, hold)
+         */
+        trigger(action) {
+            this.presses++;
+            this.pending.push(action);
+        }
+
+        /**
+         * Pause auto shift for the DAS cut delay (after rotations, holds and spawns)
+         */
+        cutDas() {
+            this.cutTimer = this.dasCut;
+        }
+
+        /**
+         * Collect the engine actions for this frame: queued presses and
+         * triggers in order, then auto-repeats for dt milliseconds.
+         *
+         * @param {number} dt - Elapsed time in milliseconds
+         * @param {TetrisEngine} engine - Read for gravity and free space so
+         *     repeats stop at walls and the stack
+         * @returns {string[]} Actions to pass to engine.step()
+         */
+        update(dt, engine) {
+            const actions = this.pending.splice(0);
+            if (!engine.currentPiece) {
+                // The engine holds these for the next piece
+                this.chargeDas(dt);
+                return actions;
+            }
+
+            this.updateShift(dt, engine, actions);
+            this.updateSoftDrop(dt, engine, actions);
+            return actions;
+        }
+
+        /**
+         * Charge DAS while there is no piece to move (during the entry
+         * delay), so a held direction shifts as soon as the next piece spawns
+         */
+        chargeDas(dt) {
+            if (!this.direction) return;
+            this.dasTimer = Math.min(this.das, this.dasTimer + dt);
+            if (this.dasTimer >= this.das) {
+                this.arrTimer = this.arr;
+            }
+        }
+
+        /**
+         * Auto shift the held direction once DAS has charged
+         */
+        updateShift(dt, engine, actions) {
+            if (!this.direction) return;
+
+            if (this.cutTimer > 0) {
+                this.cutTimer = Math.max(0, this.cutTimer - dt);
+                return;
+            }
+
+            const wasCharged = this.dasTimer >= this.das;
+            this.dasTimer += dt;
+            if (this.dasTimer < this.das) return;
+
+            const dx = this.direction === 'moveLeft' ? -1 : 1;
+            let freeCells = this.countFreeCells(engine, dx, 0);
+
+            if (this.arr === 0) {
+                for (; freeCells > 0; freeCells--) {
+                    actions.push(this.direction);
+                }
+                return;
+            }
+
+            // The first repeat fires as soon as DAS charges
+            this.arrTimer += wasCharged ? dt : this.arr + (this.dasTimer - this.das);
+            while (this.arrTimer >= this.arr && freeCells > 0) {
+                this.arrTimer -= this.arr;
+                freeCells--;
+                actions.push(this.direction);
+            }
+            this.arrTimer = Math.min(this.arrTimer, this.arr);
+        }
+
+        /**
+         * Repeat soft drop at gravity times the soft drop factor
+         */
+        updateSoftDrop(dt, engine, actions) {
+            if (!this.held.softDrop) return;
+
+            let freeCells = this.countFreeCells(engine, 0, 1);
+
+            if (this.softDropFactor === Infinity) {
+                for (; freeCells > 0; freeCells--) {
+                    actions.push('softDrop');
+                }
+                return;
+            }
+
+            // Without gravity, soft drop runs relative to level 1 speed
+            const gravity = Number.isFinite(engine.dropInterval) ? engine.dropInterval : 1000;
+            const interval = gravity / this.softDropFactor;
+            this.softDropTimer += dt;
+            while (this.softDropTimer >= interval && freeCells > 0) {
+                this.softDropTimer -= interval;
+                freeCells--;
+                actions.push('softDrop');
+            }
+            this.softDropTimer = Math.min(this.softDropTimer, interval);
+        }
+
+        /**
+         * Count how many cells the current piece can travel in a direction
+         */
+        countFreeCells(engine, dx, dy) {
+            let cells = 0;
+            const limit = Math.max(engine.BOARD_WIDTH, engine.BOARD_HEIGHT);
+            while (cells < limit && !engine.checkCollision(engine.currentPiece, dx * (cells + 1), dy * (cells + 1))) {
+                cells++;
+            }
+            return cells;
+        }
+    }
+
+    TetrisInput.DEFAULT_HANDLING = DEFAULT_HANDLING;
+    TetrisInput.HELD_ACTIONS = HELD_ACTIONS;
+
+    return TetrisInput;
+});
@@ -0,0 +1,160 @@
+/**
+ * Tetris Keybindings - 80s Minimalism Edition
+ * Actions the keyboard can trigger, their default keys, and helpers to
+ * look up, check and label user bindings. Keys are KeyboardEvent.code
+ * values so bindings follow key positions rather than layouts. Has no DOM
+ * dependencies.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisKeybindings = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Bindable actions in the order they are listed; when a key is bound
+    // to several actions, the first one listed wins
+    const ACTIONS = [
+        { action: 'moveLeft', label: 'MOVE LEFT' },
+        { action: 'moveRight', label: 'MOVE RIGHT' },
+        { action: 'softDrop', label: 'SOFT DROP' },
+        { action: 'hardDrop', label: 'HARD DROP' },
+        { action: 'rotateCW', label: 'ROTATE CW' },
+        { action: 'rotateCCW', label: 'ROTATE CCW' },
+        { action: 'rotate180', label: 'ROTATE 180' },
+        { action: 'hold', label: 'HOLD' },
+        { action: 'pause', label: 'PAUSE' },
+        { action: 'restart', label: 'RESTART' }
+    ];
+
+    const DEFAULT_BINDINGS = {
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        softDrop: ['ArrowDown'],
+        hardDrop: ['Space'],
+        rotateCW: ['ArrowUp', 'KeyX'],
+        rotateCCW: ['KeyZ', 'ControlLeft', 'ControlRight'],
+        rotate180: ['KeyA'],
+        hold: ['KeyC'],
+        pause: ['KeyP'],
+        restart: ['KeyR']
+    };
+
+    // Short labels for keys whose code is not just "Key" or "Digit" plus a character
+    const KEY_LABELS = {
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Space: 'SPACE',
+        ControlLeft: 'CTRL',
+        ControlRight: 'CTRL',
+        ShiftLeft: 'SHIFT',
+        ShiftRight: 'SHIFT',
+        AltLeft: 'ALT',
+        AltRight: 'ALT',
+        MetaLeft: 'META',
+        MetaRight: 'META',
+        Enter: 'ENTER',
+        Backspace: 'BKSP',
+        Tab: 'TAB',
+        Comma: ',',
+        Period: '.',
+        Slash: '/',
+        Semicolon: ';',
+        Quote: "'",
+        BracketLeft: '[',
+        BracketRight: ']',
+        Backslash: '\\',
+        Minus: '-',
+        Equal: '=',
+        Backquote: '`'
+    };
+
+    /**
+     * A full set of bindings from stored ones: unknown actions are dropped
+     * and actions without a valid key list get their defaults
+     */
+    function normalizeBindings(stored) {
+        const bindings = {};
+        for (const { action } of ACTIONS) {
+            const keys = stored && stored[action];
+            const valid = Array.isArray(keys) && keys.length > 0 && keys.every(key => typeof key === 'string' && key !== '');
+            bindings[action] = valid ? [...new Set(keys)] : [...DEFAULT_BINDINGS[action]];
+        }
+        return bindings;
+    }
+
+    /**
+     * Map from key code to the action it triggers
+     */
+    function createKeyMap(bindings) {
+        const keyMap = new Map();
+        for (const { action } of ACTIONS) {
+            for (const key of bindings[action]) {
+                if (!keyMap.has(key)) {
+                    keyMap.set(key, action);
+                }
+            }
+        }
+        return keyMap;
+    }
+
+    /**
+     * Keys bound to more than one action
+     *
+     * @returns {Array} [{ key, actions }] with actions in listing order
+     */
+    function findConflicts(bindings) {
+        const actionsByKey = new Map();
+        for (const { action } of ACTIONS) {
+            for (const key of bindings[action]) {
+                actionsByKey.set(key, [...(actionsByKey.get(key) || []), action]);
+            }
+        }
+        return [...actionsByKey]
+            .filter(([, actions]) => actions.length > 1)
+            .map(([key, actions]) => ({ key, actions }));
+    }
+
+    /**
+     * Display label for a key code, e.g. "KeyX" is "X" and "ArrowUp" is "↑"
+     */
+    function formatKey(code) {
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        const match = /^(?:Key|Digit)(.)$/.exec(code);
+        if (match) return match[1];
+        if (code.startsWith('Numpad')) return `NUM ${code.slice(6).toUpperCase()}`;
+        return code.toUpperCase();
+    }
+
+    /**
+     * Labels for all keys bound to some actions, without repeats (both Ctrl
+     * keys show as one CTRL)
+     */
+    function formatBindings(bindings, actions) {
+        const labels = actions.flatMap(action => bindings[action].map(formatKey));
+        return [...new Set(labels)].join(' ');
+    }
+
+    /**
+     * Label of an action
+     */
+    function getActionLabel(action) {
+        return ACTIONS.find(entry => entry.action === action).label;
+    }
+
+    return {
+        ACTIONS,
+        DEFAULT_BINDINGS,
+        normalizeBindings,
+        createKeyMap,
+        findConflicts,
+        formatKey,
+        formatBindings,
+        getActionLabel
+    };
+});
@@ -0,0 +1,194 @@
+/**
+ * Tetris Modes - 80s Minimalism Edition
+ * Game mode definitions. A mode supplies extra engine options (goals and
+ * limits), tells the renderer which HUD to show, and says how its personal
+ * bests are ranked.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisModes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Ultra durations offered in the menu, in seconds
+    const ULTRA_DURATIONS = [60, 120, 180, 300];
+    const DEFAULT_ULTRA_DURATION = 120;
+
+    // Dig starting garbage heights and hole messiness offered in the menu
+    const DIG_ROWS = [5, 10, 15, 18];
+    const DEFAULT_DIG_ROWS = 10;
+    const DIG_MESSINESS = [0, 0.25, 0.5, 1];
+    const DEFAULT_DIG_MESSINESS = 0.25;
+
+    // Zen gravity choices: milliseconds per row, 0 for none
+    const ZEN_GRAVITIES = [0, 2000, 1000, 500];
+    const DEFAULT_ZEN_GRAVITY = 2000;
+
+    // Invisible mode: milliseconds a locked cell stays visible, 0 for never
+    const FADE_DELAYS = [0, 1000, 3000, 5000];
+    const DEFAULT_FADE_DELAY = 3000;
+
+    // Master grades from lowest to highest with the score each needs
+    const MASTER_GRADES = [
+        ['9', 0], ['8', 400], ['7', 800], ['6', 1400], ['5', 2000], ['4', 3500],
+        ['3', 5500], ['2', 8000], ['1', 12000], ['S1', 16000], ['S2', 22000],
+        ['S3', 30000], ['S4', 40000], ['S5', 52000], ['S6', 66000], ['S7', 82000],
+        ['S8', 100000], ['S9', 120000]
+    ];
+
+    // Grand Master needs a finished game, this score, and to reach each
+    // checkpoint (sections completed) within its total time
+    const GRAND_MASTER_SCORE = 126000;
+    const GRAND_MASTER_CHECKPOINTS = [
+        { sections: 3, time: 255000 },    // Level 300 in 4:15
+        { sections: 5, time: 450000 },    // Level 500 in 7:30
+        { sections: 10, time: 810000 }    // Level 999 in 13:30
+    ];
+
+    // Selectable modes by name. `engine` maps the menu settings to extra
+    // engine options; `recordKey` names the personal best slot.
+    const MODES = {
+        marathon: {
+            label: 'MARATHON',
+            engine: () => ({}),
+            timer: null,        // No clock on the HUD
+            record: null        // Ranked by the shared high score
+        },
+        sprint: {
+            label: 'SPRINT 40L',
+            engine: () => ({ lineGoal: 40 }),
+            timer: 'up',        // Stopwatch from the first input
+            record: 'time'      // Fastest finish wins
+        },
+        ultra: {
+            label: 'ULTRA',
+            engine: settings => ({ timeLimit: settings.ultraDuration * 1000 }),
+            recordKey: settings => `ultra:${settings.ultraDuration}`,
+            timer: 'down',      // Countdown to the time limit
+            record: 'score'     // Highest score in the time wins
+        },
+        dig: {
+            label: 'DIG',
+            engine: settings => ({ garbageRows: settings.digRows, garbageMessiness: settings.digMessiness }),
+            recordKey: settings => `dig:${settings.digRows}:${settings.digMessiness}`,
+            timer: 'up',        // Stopwatch from the first input
+            record: 'time'      // Fastest dig to the floor wins
+        },
+        zen: {
+            label: 'ZEN',
+            engine: settings => ({ topOutClears: true, dropInterval: settings.zenGravity || Infinity }),
+            timer: null,
+            record: 'score',    // Best session
+            endless: true,      // Never ends by itself; the session is recorded on exit
+            ambient: true       // Generative music plays by default
+        },
+        master: {
+            label: 'MASTER',
+            engine: () => ({ levelSystem: 'master' }),
+            timer: 'up',        // Stopwatch from the first input
+            record: 'grade',    // Best grade wins, then the faster time
+            recordsTopOut: true // Topping out is graded too
+        },
+        invisible: {
+            label: 'INVISIBLE',
+            engine: () => ({}),
+            recordKey: settings => `invisible:${settings.fadeDelay}`,
+            timer: null,
+            record: 'score',    // Highest score before topping out
+            recordsTopOut: true,
+            fade: true          // Locked cells fade out after the fade delay
+        }
+    };
+
+    const DEFAULT_MODE = 'marathon';
+
+    /**
+     * Personal best slot for a mode under the given settings, so modes with
+     * options (such as Ultra's duration) rank each variant separately. Boards
+     * other than 10x20, piece sets other than tetrominoes and Big mode get
+     * their own slots too.
+     */
+    function getRecordKey(mode, settings) {
+        const definition = MODES[mode];
+        let key = definition.recordKey ? definition.recordKey(settings) : mode;
+        const { width = 10, height = 20, pieceSet = 'tetromino' } = settings;
+        if (width !== 10 || height !== 20) {
+            key += `:${width}x${height}`;
+        }
+        if (pieceSet !== 'tetromino') {
+            key += `:${pieceSet}`;
+        }
+        if (settings.big) {
+            key += ':big';
+        }
+        return key;
+    }
+
+    /**
+     * Letter grade for a master game from its score and section times
+     *
+     * @param {Object} result - { score, finished, sectionTimes }
+     * @returns {string} '9' (lowest) to 'S9', or 'GM'
+     */
+    function getMasterGrade({ score, finished, sectionTimes }) {
+        const onPace = GRAND_MASTER_CHECKPOINTS.every(({ sections, time }) =>
+            sectionTimes.length >= sections &&
+            sectionTimes.slice(0, sections).reduce((total, sectionTime) => total + sectionTime, 0) <= time);
+        if (finished && score >= GRAND_MASTER_SCORE && onPace) {
+            return 'GM';
+        }
+
+        return MASTER_GRADES.filter(([, minimum]) => score >= minimum).pop()[0];
+    }
+
+    /**
+     * Rank of a master grade, higher is better
+     */
+    function getGradeRank(grade) {
+        return grade === 'GM' ? MASTER_GRADES.length : MASTER_GRADES.findIndex(([name]) => name === grade);
+    }
+
+    /**
+     * Whether a finished game beats the stored personal best for its mode
+     *
+     * @param {string} mode - Key of MODES
+     * @param {Object} result - { time, score, grade } of the finished game
+     * @param {Object|null} best - Stored personal best, if any
+     */
+    function isBetterRecord(mode, result, best) {
+        if (!best) return true;
+        if (MODES[mode].record === 'time') {
+            return result.time < best.time;
+        }
+        if (MODES[mode].record === 'grade') {
+            const rank = getGradeRank(result.grade);
+            const bestRank = getGradeRank(best.grade);
+            return rank > bestRank || (rank === bestRank && result.time < best.time);
+        }
+        return result.score > best.score;
+    }
+
+    return {
+        MODES,
+        DEFAULT_MODE,
+        ULTRA_DURATIONS,
+        DEFAULT_ULTRA_DURATION,
+        DIG_ROWS,
+        DEFAULT_DIG_ROWS,
+        DIG_MESSINESS,
+        DEFAULT_DIG_MESSINESS,
+        ZEN_GRAVITIES,
+        DEFAULT_ZEN_GRAVITY,
+        FADE_DELAYS,
+        DEFAULT_FADE_DELAY,
+        MASTER_GRADES,
+        getRecordKey,
+        getMasterGrade,
+        getGradeRank,
+        isBetterRecord
+    };
+});
@@ -0,0 +1,476 @@
+/**
+ * Tetris Pieces - 80s Minimalism Edition
+ * Piece sets the engine can deal from: the standard tetrominoes, one-sided
+ * pentominoes, an easy tromino/domino set, and user-defined sets loaded
+ * from JSON. A piece is { shape, color, name, kicks }, where `shape` is a
+ * square matrix in its spawn orientation and `kicks` names a table in
+ * TetrisRotation.KICK_TABLES, gives an inline table, or is null for a piece
+ * that does not rotate.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rotation'));
+    } else {
+        root.TetrisPieces = factory(root.TetrisRotation);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TetrisRotation) {
+    'use strict';
+
+    // Tetris pieces (Tetrominoes) in their SRS spawn orientations, with the
+    // kick table each one uses when rotating
+    const TETROMINOES = [
+        {
+            shape: [
+                [0, 1, 0],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#ff00ff', // T piece - Magenta
+            name: 'T',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1],
+                [1, 1]
+            ],
+            color: '#ffff00', // O piece - Yellow
+            name: 'O',
+            kicks: null // The O piece does not rotate
+        },
+        {
+            shape: [
+                [0, 1, 1],
+                [1, 1, 0],
+                [0, 0, 0]
+            ],
+            color: '#00ff00', // S piece - Green
+            name: 'S',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1, 0],
+                [0, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#ff0000', // Z piece - Red
+            name: 'Z',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0, 0],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#0000ff', // J piece - Blue
+            name: 'J',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 1],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#ff8000', // L piece - Orange
+            name: 'L',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 0, 0],
+                [1, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#00ffff', // I piece - Cyan
+            name: 'I',
+            kicks: 'I'
+        }
+    ];
+
+    // The 18 one-sided pentominoes; mirror images are marked with a prime
+    const PENTOMINOES = [
+        {
+            shape: [
+                [0, 1, 1],
+                [1, 1, 0],
+                [0, 1, 0]
+            ],
+            color: '#ff00ff', // F - Magenta
+            name: 'F',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1, 0],
+                [0, 1, 1],
+                [0, 1, 0]
+            ],
+            color: '#cc66ff', // F' - Violet
+            name: "F'",
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 0, 0, 0],
+                [0, 0, 0, 0, 0],
+                [1, 1, 1, 1, 1],
+                [0, 0, 0, 0, 0],
+                [0, 0, 0, 0, 0]
+            ],
+            color: '#00ffff', // I5 - Cyan
+            name: 'I5',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 0, 1],
+                [1, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#ff8000', // L5 - Orange
+            name: 'L5',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0, 0, 0],
+                [1, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#0000ff', // J5 - Blue
+            name: 'J5',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 1, 1],
+                [1, 1, 1, 0],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#ff0080', // N - Pink
+            name: 'N',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1, 0, 0],
+                [0, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#ff6666', // N' - Salmon
+            name: "N'",
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 1, 0],
+                [1, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#80ff00', // Y - Lime
+            name: 'Y',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 1, 0, 0],
+                [1, 1, 1, 1],
+                [0, 0, 0, 0],
+                [0, 0, 0, 0]
+            ],
+            color: '#00ff80', // Y' - Mint
+            name: "Y'",
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1, 0],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#ffff00', // P - Yellow
+            name: 'P',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 1, 1],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#ffcc00', // P' - Amber
+            name: "P'",
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 1, 1],
+                [0, 1, 0],
+                [0, 1, 0]
+            ],
+            color: '#8000ff', // T5 - Purple
+            name: 'T5',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0, 1],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#0080ff', // U - Azure
+            name: 'U',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0, 0],
+                [1, 0, 0],
+                [1, 1, 1]
+            ],
+            color: '#00ccaa', // V - Teal
+            name: 'V',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0, 0],
+                [1, 1, 0],
+                [0, 1, 1]
+            ],
+            color: '#ff4000', // W - Vermilion
+            name: 'W',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 1, 0],
+                [1, 1, 1],
+                [0, 1, 0]
+            ],
+            color: '#ffffff', // X - White
+            name: 'X',
+            kicks: null
+        },
+        {
+            shape: [
+                [1, 1, 0],
+                [0, 1, 0],
+                [0, 1, 1]
+            ],
+            color: '#ff0000', // Z5 - Red
+            name: 'Z5',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 1, 1],
+                [0, 1, 0],
+                [1, 1, 0]
+            ],
+            color: '#00ff00', // S5 - Green
+            name: 'S5',
+            kicks: 'JLSTZ'
+        }
+    ];
+
+    // A domino and two trominoes for a gentler game
+    const EASY_PIECES = [
+        {
+            shape: [
+                [1, 1],
+                [0, 0]
+            ],
+            color: '#ffff00', // D2 - Yellow
+            name: 'D2',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [0, 0, 0],
+                [1, 1, 1],
+                [0, 0, 0]
+            ],
+            color: '#00ffff', // I3 - Cyan
+            name: 'I3',
+            kicks: 'JLSTZ'
+        },
+        {
+            shape: [
+                [1, 0],
+                [1, 1]
+            ],
+            color: '#ff8000', // L3 - Orange
+            name: 'L3',
+            kicks: 'JLSTZ'
+        }
+    ];
+
+    // Selectable sets by name. 'custom' deals the set loaded from JSON.
+    const PIECE_SETS = {
+        tetromino: { label: 'TETROMINO', pieces: TETROMINOES },
+        pentomino: { label: 'PENTOMINO', pieces: PENTOMINOES },
+        easy: { label: 'TROMINO/DOMINO', pieces: EASY_PIECES },
+        custom: { label: 'CUSTOM', pieces: null }
+    };
+
+    const DEFAULT_PIECE_SET = 'tetromino';
+
+    // Limits for user-defined sets
+    const MAX_CUSTOM_PIECES = 32;
+    const MAX_SHAPE_SIZE = 6;
+
+    /**
+     * Validate a user-defined piece set and convert it to engine pieces.
+     * The JSON is an array of pieces, or { name, pieces }. Each piece needs
+     * a unique `name`, a hex `color` and a square 0/1 `shape`. `kicks` is
+     * optional: a KICK_TABLES name (default 'JLSTZ'), null for no rotation,
+     * or an object mapping 'from>to' states (0-3) to [x, y] offsets with
+     * positive y pointing up, as in the guideline tables.
+     *
+     * @param {string|Object} json - JSON text or an already parsed value
+     * @returns {{ name: string, pieces: Object[] }}
+     * @throws {Error} Describing the first problem found
+     */
+    function parsePieceSet(json) {
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error(`Not valid JSON: ${error.message}`);
+            }
+        }
+
+        const list = Array.isArray(data) ? data : data && data.pieces;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error('Expected a non-empty array of pieces, or an object with a "pieces" array');
+        }
+        if (list.length > MAX_CUSTOM_PIECES) {
+            throw new Error(`Too many pieces: ${list.length} (at most ${MAX_CUSTOM_PIECES})`);
+        }
+
+        const names = new Set();
+        const pieces = list.map((entry, index) => {
+            const piece = parsePiece(entry, `Piece ${index + 1}`);
+            if (names.has(piece.name)) {
+                throw new Error(`Piece ${index + 1}: duplicate name "${piece.name}"`);
+            }
+            names.add(piece.name);
+            return piece;
+        });
+
+        const name = !Array.isArray(data) && typeof data.name === 'string' && data.name.trim()
+            ? data.name.trim().slice(0, 32)
+            : 'CUSTOM';
+        return { name, pieces };
+    }
+
+    /**
+     * Validate one user-defined piece
+     */
+    function parsePiece(entry, label) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`${label}: expected an object with name, color and shape`);
+        }
+        if (typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new Error(`${label}: "name" must be a non-empty string`);
+        }
+        label = `${label} (${entry.name})`;
+
+        if (typeof entry.color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(entry.color)) {
+            throw new Error(`${label}: "color" must be a hex color such as "#ff00ff"`);
+        }
+
+        const shape = entry.shape;
+        const size = Array.isArray(shape) ? shape.length : 0;
+        if (size < 1 || size > MAX_SHAPE_SIZE ||
+            !shape.every(row => Array.isArray(row) && row.length === size && row.every(cell => cell === 0 || cell === 1))) {
+            throw new Error(`${label}: "shape" must be a square matrix of 0s and 1s, at most ${MAX_SHAPE_SIZE}x${MAX_SHAPE_SIZE}`);
+        }
+        if (!shape.some(row => row.includes(1))) {
+            throw new Error(`${label}: "shape" has no filled cells`);
+        }
+
+        return {
+            shape: shape.map(row => row.slice()),
+            color: entry.color,
+            name: entry.name.trim(),
+            kicks: parseKicks(entry.kicks, label)
+        };
+    }
+
+    /**
+     * Validate a piece's kicks: a table name, null, or an inline table
+     */
+    function parseKicks(kicks, label) {
+        if (kicks === undefined) return 'JLSTZ';
+        if (kicks === null) return null;
+        if (typeof kicks === 'string') {
+            if (!TetrisRotation.KICK_TABLES[kicks]) {
+                throw new Error(`${label}: unknown kick table "${kicks}" (use ${Object.keys(TetrisRotation.KICK_TABLES).join(', ')})`);
+            }
+            return kicks;
+        }
+        if (typeof kicks !== 'object' || Array.isArray(kicks)) {
+            throw new Error(`${label}: "kicks" must be a table name, null or an object`);
+        }
+
+        const table = {};
+        for (const [key, offsets] of Object.entries(kicks)) {
+            if (!/^[0-3]>[0-3]$/.test(key) || key[0] === key[2]) {
+                throw new Error(`${label}: kick key "${key}" must look like "0>1" (rotation states 0-3)`);
+            }
+            if (!Array.isArray(offsets) ||
+                !offsets.every(offset => Array.isArray(offset) && offset.length === 2 && offset.every(Number.isInteger))) {
+                throw new Error(`${label}: kicks for "${key}" must be a list of [x, y] integer pairs`);
+            }
+            // Guideline tables count y upwards; the board counts it downwards
+            table[key] = offsets.map(([x, y]) => ({ x, y: -y }));
+        }
+        return table;
+    }
+
+    /**
+     * Side of the largest shape matrix in a set. Pieces spawn centred in
+     * their matrix, so a narrower field cannot fit them.
+     */
+    function getMaxPieceSize(pieces) {
+        return Math.max(...pieces.map(piece => piece.shape.length));
+    }
+
+    /**
+     * Turn engine pieces back into the JSON format parsePieceSet() reads,
+     * so a custom set can travel with a replay
+     */
+    function serializePieces(pieces) {
+        return pieces.map(({ name, color, shape, kicks }) => ({
+            name,
+            color,
+            shape,
+            kicks: kicks && typeof kicks === 'object'
+                ? Object.fromEntries(Object.entries(kicks).map(([key, offsets]) => [key, offsets.map(({ x, y }) => [x, -y])]))
+                : kicks
+        }));
+    }
+
+    return {
+        PIECE_SETS,
+        DEFAULT_PIECE_SET,
+        MAX_CUSTOM_PIECES,
+        MAX_SHAPE_SIZE,
+        parsePieceSet,
+        getMaxPieceSize,
+        serializePieces
+    };
+});
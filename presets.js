@@ -0,0 +1,87 @@
+/**
+ * Tetris Presets - 80s Minimalism Edition
+ * Named rule sets bundling the randomizer, previews, gravity, lock reset
+ * and board dimensions. Picking one fills in those menu settings; changing
+ * any of them by hand makes the rules Custom.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisPresets = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Board dimension limits for custom rules, as [min, max]
+    const WIDTH_RANGE = [4, 20];
+    const HEIGHT_RANGE = [10, 40];
+    const BUFFER_RANGE = [0, 20];
+
+    // Settings each preset sets; the same keys are engine options
+    const RULE_KEYS = ['randomizer', 'previewCount', 'gravityCurve', 'lockResetMode', 'width', 'height', 'bufferHeight'];
+
+    const PRESETS = {
+        guideline: {
+            label: 'GUIDELINE',
+            rules: {
+                randomizer: '7bag',
+                previewCount: 5,
+                gravityCurve: 'guideline',
+                lockResetMode: 'move',
+                width: 10,
+                height: 20,
+                bufferHeight: 20     // 40-row matrix with the top half hidden
+            }
+        },
+        nes: {
+            label: 'CLASSIC NES',
+            rules: {
+                randomizer: 'classic',
+                previewCount: 1,
+                gravityCurve: 'nes',
+                lockResetMode: 'step',
+                width: 10,
+                height: 20,
+                bufferHeight: 0      // Pieces appear inside the visible field
+            }
+        },
+        tgm: {
+            label: 'TGM',
+            rules: {
+                randomizer: 'tgm',
+                previewCount: 1,
+                gravityCurve: 'tgm',
+                lockResetMode: 'step',
+                width: 10,
+                height: 20,
+                bufferHeight: 2
+            }
+        },
+        custom: {
+            label: 'CUSTOM',
+            rules: null              // Keeps whatever the menu is set to
+        }
+    };
+
+    const DEFAULT_PRESET = 'guideline';
+
+    /**
+     * Whether the settings still hold every rule of a preset (Custom always does)
+     */
+    function matchesPreset(preset, settings) {
+        const { rules } = PRESETS[preset];
+        return !rules || RULE_KEYS.every(key => settings[key] === rules[key]);
+    }
+
+    return {
+        PRESETS,
+        DEFAULT_PRESET,
+        RULE_KEYS,
+        WIDTH_RANGE,
+        HEIGHT_RANGE,
+        BUFFER_RANGE,
+        matchesPreset
+    };
+});
@@ -0,0 +1,171 @@
+/**
+ * Tetris Randomizer - 80s Minimalism Edition
+ * Piece generator strategies. Every generator draws from a piece set with a
+ * random source returning [0, 1) and hands out piece definitions via next().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisRandomizer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Random integer in [0, max)
+     */
+    function randomInt(random, max) {
+        return Math.floor(random() * max);
+    }
+
+    /**
+     * Bag randomizer: deals every piece `copies` times in shuffled order
+     * before refilling, so droughts and floods are bounded.
+     */
+    class BagRandomizer {
+        constructor(pieces, random, copies = 1) {
+            this.pieces = pieces;
+            this.random = random;
+            this.copies = copies;
+            this.bag = [];
+        }
+
+        refill() {
+            for (let i = 0; i < this.copies; i++) {
+                this.bag.push(...this.pieces);
+            }
+
+            // Fisher-Yates shuffle
+            for (let i = this.bag.length - 1; i > 0; i--) {
+                const j = randomInt(this.random, i + 1);
+                [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
+            }
+        }
+
+        next() {
+            if (this.bag.length === 0) {
+                this.refill();
+            }
+            return this.bag.shift();
+        }
+
+        /**
+         * Pieces left in the bag, as indices into `pieces`
+         */
+        getState() {
+            return { bag: this.bag.map(piece => this.pieces.indexOf(piece)) };
+        }
+
+        setState({ bag }) {
+            this.bag = bag.map(index => this.pieces[index]);
+        }
+    }
+
+    /**
+     * Classic memoryless randomizer: every piece is an independent draw
+     */
+    class MemorylessRandomizer {
+        constructor(pieces, random) {
+            this.pieces = pieces;
+            this.random = random;
+        }
+
+        next() {
+            return this.pieces[randomInt(this.random, this.pieces.length)];
+        }
+
+        // Nothing to save: every draw depends only on the RNG
+        getState() {
+            return {};
+        }
+
+        setState() {}
+    }
+
+    /**
+     * TGM-style history randomizer: rerolls up to `rolls` times when the
+     * piece is one of the last four dealt, and never opens with S, Z or O.
+     */
+    class HistoryRandomizer {
+        constructor(pieces, random, rolls = 4) {
+            this.pieces = pieces;
+            this.random = random;
+            this.rolls = rolls;
+            this.history = ['Z', 'S', 'S', 'Z'];
+            this.first = true;
+        }
+
+        next() {
+            let piece;
+
+            if (this.first) {
+                this.first = false;
+                const openers = this.pieces.filter(p => !['S', 'Z', 'O'].includes(p.name));
+                const choices = openers.length > 0 ? openers : this.pieces;
+                piece = choices[randomInt(this.random, choices.length)];
+            } else {
+                for (let roll = 0; roll < this.rolls; roll++) {
+                    piece = this.pieces[randomInt(this.random, this.pieces.length)];
+                    if (!this.history.includes(piece.name)) break;
+                }
+            }
+
+            this.history.shift();
+            this.history.push(piece.name);
+            return piece;
+        }
+
+        getState() {
+            return { history: [...this.history], first: this.first };
+        }
+
+        setState({ history, first }) {
+            this.history = [...history];
+            this.first = first;
+        }
+    }
+
+    // Selectable generators by name
+    const RANDOMIZERS = {
+        '7bag': {
+            label: '7-BAG',
+            create: (pieces, random) => new BagRandomizer(pieces, random, 1)
+        },
+        '14bag': {
+            label: '14-BAG',
+            create: (pieces, random) => new BagRandomizer(pieces, random, 2)
+        },
+        classic: {
+            label: 'CLASSIC',
+            create: (pieces, random) => new MemorylessRandomizer(pieces, random)
+        },
+        tgm: {
+            label: 'TGM HISTORY',
+            create: (pieces, random) => new HistoryRandomizer(pieces, random, 4)
+        }
+    };
+
+    const DEFAULT_RANDOMIZER = '7bag';
+
+    /**
+     * Create a generator by name
+     */
+    function createRandomizer(type, pieces, random) {
+        const entry = RANDOMIZERS[type];
+        if (!entry) {
+            throw new Error(`Unknown randomizer: ${type}`);
+        }
+        return entry.create(pieces, random);
+    }
+
+    return {
+        RANDOMIZERS,
+        DEFAULT_RANDOMIZER,
+        BagRandomizer,
+        MemorylessRandomizer,
+        HistoryRandomizer,
+        createRandomizer
+    };
+});
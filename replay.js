@@ -0,0 +1,365 @@
+/**
+ * Tetris Replay - 80s Minimalism Edition
+ * Records the engine actions of a game frame by frame and plays them back
+ * through a fresh engine. The engine is deterministic for a seed, options
+ * and a sequence of fixed 60 Hz steps, so a replay only needs the seed, the
+ * menu settings and the frames on which actions happened. Replays can be
+ * packed into a compressed, versioned file or link and validated on the way
+ * back in. Has no DOM dependencies.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./gravity'), require('./pieces'));
+    } else {
+        root.TetrisReplay = factory(root.TetrisEngine, root.TetrisGravity, root.TetrisPieces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TetrisEngine, TetrisGravity, TetrisPieces) {
+    'use strict';
+
+    const REPLAY_VERSION = 1;
+
+    // Every game advances the engine in steps of exactly one frame
+    const FRAME_MS = TetrisGravity.FRAME_MS;
+
+    // Replays kept in localStorage, newest first
+    const MAX_STORED_REPLAYS = 10;
+
+    // Longest replay accepted on import: three hours of frames
+    const MAX_FRAMES = 3 * 60 * 60 * 60;
+
+    // Most frames one seek() plays before returning, so a long seek is
+    // spread over several calls instead of freezing the page
+    const MAX_SEEK_STEPS = 6000;
+
+    // Exported files are a JSON envelope around the packed replay
+    const FILE_FORMAT = 'tetris-replay';
+
+    // Links carry the packed replay in the URL fragment: #replay=<version>.<z|n>.<data>
+    const LINK_PARAM = 'replay';
+    const COMPRESSION_CODES = { 'deflate-raw': 'z', none: 'n' };
+
+    /**
+     * Records the actions passed to engine.step() each frame. Actions are
+     * stored as indices into TetrisEngine.ACTIONS: [frame, action, ...].
+     */
+    class ReplayRecorder {
+        /**
+         * @param {Object} game
+         * @param {string} game.seed - The engine's seed
+         * @param {Object} game.settings - Menu settings the engine was built from
+         * @param {Array} [game.pieces] - Custom piece set in parsePieceSet() JSON form
+         */
+        constructor({ seed, settings, pieces }) {
+            this.id = `${Date.now().toString(36)}-${seed}`;
+            this.seed = seed;
+            this.settings = { ...settings };
+            this.pieces = pieces || null;
+            this.frame = 0;
+            this.inputs = [];
+        }
+
+        /**
+         * Continue recording a game from its replay so far
+         */
+        static fromReplay(replay) {
+            const recorder = new ReplayRecorder(replay);
+            recorder.id = replay.id;
+            recorder.frame = replay.frames;
+            recorder.inputs = replay.inputs.map(input => [...input]);
+            return recorder;
+        }
+
+        /**
+         * Note the actions for the current frame and move on to the next
+         */
+        record(actions) {
+            if (actions.length > 0) {
+                this.inputs.push([this.frame, ...actions.map(action => TetrisEngine.ACTIONS.indexOf(action))]);
+            }
+            this.frame++;
+        }
+
+        /**
+         * The replay so far, with a summary of the game for listings
+         *
+         * @param {Object} result - { score, lines, level, time, finished }
+         */
+        toReplay(result) {
+            const replay = {
+                version: REPLAY_VERSION,
+                id: this.id,
+                date: Date.now(),
+                seed: this.seed,
+                settings: this.settings,
+                frames: this.frame,
+                inputs: this.inputs,
+                result
+            };
+            if (this.pieces) {
+                replay.pieces = this.pieces;
+            }
+            return replay;
+        }
+    }
+
+    /**
+     * Re-drives a fresh engine from a replay. Seeking backwards rebuilds
+     * the engine and fast-forwards, since the engine cannot step back.
+     */
+    class ReplayPlayer {
+        /**
+         * @param {Object} replay - From ReplayRecorder.toReplay()
+         * @param {Function} createEngine - Returns a new, unstarted engine for the replay
+         */
+        constructor(replay, createEngine) {
+            this.replay = replay;
+            this.createEngine = createEngine;
+            this.totalFrames = replay.frames;
+            this.inputs = new Map(replay.inputs.map(([frame, ...actions]) =>
+                [frame, actions.map(index => TetrisEngine.ACTIONS[index])]));
+            this.engine = null;
+            this.frame = 0;
+            this.seek(0);
+        }
+
+        /**
+         * Head for a frame (clamped to the replay's length), playing at most
+         * MAX_SEEK_STEPS frames. Returns true once the frame is reached;
+         * call again with the same frame to keep going.
+         */
+        seek(frame) {
+            frame = Math.max(0, Math.min(this.totalFrames, Math.floor(frame)));
+            if (!this.engine || frame < this.frame) {
+                this.engine = this.createEngine();
+                this.engine.start();
+                this.frame = 0;
+            }
+            const stop = Math.min(frame, this.frame + MAX_SEEK_STEPS);
+            while (this.frame < stop) {
+                this.stepFrame();
+            }
+            return this.frame === frame;
+        }
+
+        /**
+         * Play one frame. Returns false at the end of the replay.
+         */
+        stepFrame() {
+            if (this.frame >= this.totalFrames) return false;
+            this.engine.step(this.inputs.get(this.frame) || [], FRAME_MS);
+            this.frame++;
+            return true;
+        }
+
+        /**
+         * Whether every recorded frame has been played
+         */
+        isAtEnd() {
+            return this.frame >= this.totalFrames;
+        }
+    }
+
+    /**
+     * Check that a value is a replay this version can play
+     *
+     * @throws {Error} Naming the first problem, including version mismatches
+     */
+    function validateReplay(replay) {
+        if (!replay || typeof replay !== 'object' || Array.isArray(replay)) {
+            throw new Error('Not a replay: expected a replay object');
+        }
+        if (!Number.isInteger(replay.version)) {
+            throw new Error('Not a replay: "version" is missing');
+        }
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`This replay is version ${replay.version}, newer than this game supports (version ${REPLAY_VERSION}). Update the game to watch it.`);
+        }
+        if (replay.version < REPLAY_VERSION) {
+            throw new Error(`This replay is version ${replay.version}, which this game no longer plays (version ${REPLAY_VERSION})`);
+        }
+        if (typeof replay.seed !== 'string' || replay.seed === '') {
+            throw new Error('Replay "seed" must be a non-empty string');
+        }
+        if (!replay.settings || typeof replay.settings !== 'object' || typeof replay.settings.mode !== 'string') {
+            throw new Error('Replay "settings" must be an object with a "mode"');
+        }
+        if (!Number.isInteger(replay.frames) || replay.frames < 0) {
+            throw new Error('Replay "frames" must be a whole number of frames');
+        }
+        if (replay.frames > MAX_FRAMES) {
+            throw new Error(`Replay is ${replay.frames} frames long; the longest supported is ${MAX_FRAMES} (3 hours)`);
+        }
+        if (!Array.isArray(replay.inputs)) {
+            throw new Error('Replay "inputs" must be a list');
+        }
+        // At most one entry per frame
+        if (replay.inputs.length > replay.frames) {
+            throw new Error(`Replay has ${replay.inputs.length} inputs for ${replay.frames} frames`);
+        }
+
+        let lastFrame = -1;
+        replay.inputs.forEach((input, index) => {
+            if (!Array.isArray(input) || input.length < 2 || !input.every(Number.isInteger)) {
+                throw new Error(`Replay input ${index + 1} must be [frame, action, ...] whole numbers`);
+            }
+            const [frame, ...actions] = input;
+            if (frame <= lastFrame || frame >= replay.frames) {
+                throw new Error(`Replay input ${index + 1} is on frame ${frame}, out of order or past the end`);
+            }
+            const unknown = actions.find(action => !TetrisEngine.ACTIONS[action]);
+            if (unknown !== undefined) {
+                throw new Error(`Replay input ${index + 1} has unknown action ${unknown}`);
+            }
+            lastFrame = frame;
+        });
+
+        if (replay.pieces !== undefined) {
+            try {
+                TetrisPieces.parsePieceSet(replay.pieces);
+            } catch (error) {
+                throw new Error(`Replay pieces are invalid: ${error.message}`);
+            }
+        }
+        if (!replay.result || typeof replay.result !== 'object' || typeof replay.result.score !== 'number') {
+            throw new Error('Replay "result" must be an object with a "score"');
+        }
+        return replay;
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe (or standard) base64 to bytes
+     */
+    function fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Run bytes through a CompressionStream or DecompressionStream
+     */
+    async function transform(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    }
+
+    /**
+     * Pack a replay for export: compressed with deflate where the browser
+     * supports it, and base64 encoded
+     *
+     * @returns {Promise<Object>} { format, version, compression, data }
+     */
+    async function packReplay(replay) {
+        let bytes = new TextEncoder().encode(JSON.stringify(replay));
+        let compression = 'none';
+        if (typeof CompressionStream === 'function') {
+            bytes = await transform(bytes, new CompressionStream('deflate-raw'));
+            compression = 'deflate-raw';
+        }
+        return { format: FILE_FORMAT, version: replay.version, compression, data: toBase64Url(bytes) };
+    }
+
+    /**
+     * Unpack and validate a packed replay
+     *
+     * @throws {Error} If the data is damaged or not a playable replay
+     */
+    async function unpackReplay({ version, compression, data }) {
+        if (version !== REPLAY_VERSION) {
+            // Let validateReplay word the version mismatch
+            validateReplay({ version });
+        }
+        if (!COMPRESSION_CODES[compression]) {
+            throw new Error(`Unknown replay compression "${compression}"`);
+        }
+        if (typeof data !== 'string' || !/^[A-Za-z0-9_+/=-]+$/.test(data)) {
+            throw new Error('Replay data is missing or damaged');
+        }
+
+        let text;
+        try {
+            let bytes = fromBase64Url(data);
+            if (compression === 'deflate-raw') {
+                if (typeof DecompressionStream !== 'function') {
+                    throw new Error('this browser cannot decompress replays');
+                }
+                bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+            }
+            text = new TextDecoder().decode(bytes);
+        } catch (error) {
+            throw new Error(`Replay data is damaged: ${error.message}`);
+        }
+
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Replay data is damaged: not valid JSON');
+        }
+        return validateReplay(replay);
+    }
+
+    /**
+     * A link that opens the packed replay on the page at baseUrl
+     */
+    function getReplayLink(packed, baseUrl) {
+        const url = baseUrl.split('#')[0];
+        return `${url}#${LINK_PARAM}=${packed.version}.${COMPRESSION_CODES[packed.compression]}.${packed.data}`;
+    }
+
+    /**
+     * Read a replay from anything a player might import: an exported file,
+     * a replay link, the code from a link's fragment, or plain replay JSON
+     *
+     * @param {string} text
+     * @returns {Promise<Object>} The validated replay
+     * @throws {Error} Explaining why it cannot be imported
+     */
+    async function importReplay(text) {
+        text = text.trim();
+        if (text.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Not a replay file: ${error.message}`);
+            }
+            return data.format === FILE_FORMAT ? unpackReplay(data) : validateReplay(data);
+        }
+
+        const fragment = text.includes('#') ? text.slice(text.indexOf('#') + 1) : text;
+        const code = new URLSearchParams(fragment).get(LINK_PARAM) || fragment;
+        const match = /^(\d+)\.([a-z])\.(.+)$/.exec(code);
+        if (!match) {
+            throw new Error('Not a replay: expected a replay file, link or code');
+        }
+        const compression = Object.keys(COMPRESSION_CODES).find(name => COMPRESSION_CODES[name] === match[2]);
+        return unpackReplay({ version: parseInt(match[1]), compression, data: match[3] });
+    }
+
+    return {
+        REPLAY_VERSION,
+        FRAME_MS,
+        MAX_STORED_REPLAYS,
+        MAX_FRAMES,
+        MAX_SEEK_STEPS,
+        LINK_PARAM,
+        ReplayRecorder,
+        ReplayPlayer,
+        validateReplay,
+        packReplay,
+        unpackReplay,
+        getReplayLink,
+        importReplay
+    };
+});
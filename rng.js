@@ -0,0 +1,69 @@
+/**
+ * Tetris RNG - 80s Minimalism Edition
+ * Seedable deterministic pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, so games can be
+ * reproduced and raced on identical piece sequences.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisRNG = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Hash a seed string to a 32-bit state (FNV-1a)
+     */
+    function hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    class TetrisRNG {
+        /**
+         * @param {string|number} seed - Any string or number
+         */
+        constructor(seed) {
+            this.seed = String(seed);
+            this.state = hashSeed(this.seed);
+        }
+
+        /**
+         * Next float in [0, 1)
+         */
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        /**
+         * Current internal state, for saving and restoring mid-sequence
+         */
+        getState() {
+            return this.state;
+        }
+
+        setState(state) {
+            this.state = state >>> 0;
+        }
+
+        /**
+         * Generate a fresh short seed string
+         */
+        static randomSeed() {
+            return Math.floor(Math.random() * 0x100000000).toString(36).toUpperCase();
+        }
+    }
+
+    return TetrisRNG;
+});
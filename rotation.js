@@ -0,0 +1,105 @@
+/**
+ * Tetris Rotation - 80s Minimalism Edition
+ * Super Rotation System (SRS): rotation states and wall kick tables.
+ *
+ * Rotation states are numbered 0 (spawn), 1 (R, clockwise), 2 (180) and
+ * 3 (L, counter-clockwise). Kick offsets use board coordinates, so a
+ * positive y moves the piece down.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TetrisRotation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Build a kick list from guideline [x, y-up] pairs
+     */
+    function kicks(...offsets) {
+        return offsets.map(([x, y]) => ({ x, y: -y }));
+    }
+
+    // Kick tables keyed by 'from>to' rotation state. Quarter turns use the
+    // guideline SRS data; 180 turns use the widely adopted SRS+ extension.
+    const KICK_TABLES = {
+        // Shared by the J, L, S, T and Z pieces
+        JLSTZ: {
+            '0>1': kicks([0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]),
+            '1>0': kicks([0, 0], [1, 0], [1, -1], [0, 2], [1, 2]),
+            '1>2': kicks([0, 0], [1, 0], [1, -1], [0, 2], [1, 2]),
+            '2>1': kicks([0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]),
+            '2>3': kicks([0, 0], [1, 0], [1, 1], [0, -2], [1, -2]),
+            '3>2': kicks([0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]),
+            '3>0': kicks([0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]),
+            '0>3': kicks([0, 0], [1, 0], [1, 1], [0, -2], [1, -2]),
+            '0>2': kicks([0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]),
+            '2>0': kicks([0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]),
+            '1>3': kicks([0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]),
+            '3>1': kicks([0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1])
+        },
+        I: {
+            '0>1': kicks([0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]),
+            '1>0': kicks([0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]),
+            '1>2': kicks([0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]),
+            '2>1': kicks([0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]),
+            '2>3': kicks([0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]),
+            '3>2': kicks([0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]),
+            '3>0': kicks([0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]),
+            '0>3': kicks([0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]),
+            '0>2': kicks([0, 0], [0, 1]),
+            '2>0': kicks([0, 0], [0, -1]),
+            '1>3': kicks([0, 0], [1, 0]),
+            '3>1': kicks([0, 0], [-1, 0])
+        }
+    };
+
+    /**
+     * Rotate a square matrix 90 degrees clockwise
+     */
+    function rotateClockwise(matrix) {
+        const rows = matrix.length;
+        const cols = matrix[0].length;
+        const rotated = Array(cols).fill().map(() => Array(rows).fill(0));
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                rotated[x][rows - 1 - y] = matrix[y][x];
+            }
+        }
+        return rotated;
+    }
+
+    /**
+     * Rotate a matrix by a number of clockwise quarter turns
+     */
+    function rotateMatrix(matrix, turns = 1) {
+        let rotated = matrix;
+        for (let i = 0; i < ((turns % 4) + 4) % 4; i++) {
+            rotated = rotateClockwise(rotated);
+        }
+        return rotated;
+    }
+
+    /**
+     * Get the kick offsets to try for a rotation from one state to another.
+     * A piece's `kicks` is the name of a table in KICK_TABLES or an inline
+     * table; pieces with `kicks: null` (the O piece) do not rotate.
+     */
+    function getKicks(piece, from, to) {
+        const table = typeof piece.kicks === 'string' ? KICK_TABLES[piece.kicks] : piece.kicks;
+        if (table && table[`${from}>${to}`]) {
+            return table[`${from}>${to}`];
+        }
+        return [{ x: 0, y: 0 }];
+    }
+
+    return {
+        KICK_TABLES,
+        rotateMatrix,
+        getKicks
+    };
+});
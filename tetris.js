@@ -25,28 +25,45 @@ class TetrisGame {
         this.nextCtx.imageSmoothingEnabled = false;
         this.holdCtx.imageSmoothingEnabled = false;
         
-        // Game constants
-        this.BOARD_WIDTH = 10;
-        this.BOARD_HEIGHT = 20;
+        // Soft drop speeds offered in the menu, as multiples of gravity
+        this.SOFT_DROP_FACTORS = [5, 10, 20, 40, 'instant'];
+        
+        // Invisible mode: how long a fading cell takes to vanish, and how
+        // long the stack reappears after a line clear
+        this.STACK_FADE_MS = 500;
+        this.STACK_REVEAL_MS = 1000;
+        
+        // Most frames the game loop runs in one go after a stall
+        this.MAX_CATCH_UP_FRAMES = 15;
+        this.REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+        
+        // Format of the game in progress saved in localStorage
+        this.SAVE_VERSION = 1;
+        
+        // Seconds counted down before gravity restarts after a pause
+        this.RESUME_COUNTDOWN = 3;
+        this.resumeCountdown = null;
+        this.customPieceSet = this.loadCustomPieceSet();
+        this.settings = this.loadSettings();
+        this.keyBindings = this.loadKeyBindings();
+        this.keyMap = TetrisKeybindings.createKeyMap(this.keyBindings);
+        this.capturingAction = null; // Action waiting for a key on the controls screen
+        
+        // Headless game engine (board, pieces, scoring); this class renders it.
+        // A fresh engine is created for every game from the menu settings.
+        this.createEngine();
         this.BLOCK_SIZE = 20;
         
-        // Game state
-        this.board = Array(this.BOARD_HEIGHT).fill().map(() => Array(this.BOARD_WIDTH).fill(0));
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.holdPiece = null;
-        this.canHold = true;
-        this.score = 0;
+        // Session state
         this.highScore = this.loadHighScore();
-        this.level = 1;
-        this.lines = 0;
+        this.personalBests = this.loadPersonalBests();
+        this.replays = this.loadReplays();
+        this.replayPlayer = null;
+        this.replaySeekTarget = null;
         this.gameRunning = false;
         this.gamePaused = false;
         this.gameLoopId = null;
-        this.dropTime = 0;
-        this.dropInterval = 1000;
-        this.lastMoveTime = 0;
-        this.moveDelay = 50; // Prevent rapid movement
+        this.lastFrameTime = 0;
         
         // Performance optimization flags
         this.needsRedraw = true;
@@ -70,6 +87,8 @@ class TetrisGame {
         // UI elements
         this.mainMenu = document.getElementById('mainMenu');
         this.instructionsScreen = document.getElementById('instructionsScreen');
+        this.controlsScreen = document.getElementById('controlsScreen');
+        this.replaysScreen = document.getElementById('replaysScreen');
         this.gameScreen = document.getElementById('gameScreen');
         this.gameOverScreen = document.getElementById('gameOverScreen');
         this.gameContainer = document.querySelector('.game-container');
@@ -84,70 +103,6 @@ class TetrisGame {
         
         // Background track removed for performance
         
-        // Tetris pieces (Tetrominoes) - Standard Tetris piece definitions with colors
-        this.pieces = [
-            {
-                shape: [
-                    [0, 1, 0],
-                    [1, 1, 1],
-                    [0, 0, 0]
-                ],
-                color: '#ff00ff', // T piece - Magenta
-                name: 'T'
-            },
-            {
-                shape: [
-                    [1, 1],
-                    [1, 1]
-                ],
-                color: '#ffff00', // O piece - Yellow
-                name: 'O'
-            },
-            {
-                shape: [
-                    [0, 1, 1],
-                    [1, 1, 0],
-                    [0, 0, 0]
-                ],
-                color: '#00ff00', // S piece - Green
-                name: 'S'
-            },
-            {
-                shape: [
-                    [1, 1, 0],
-                    [0, 1, 1],
-                    [0, 0, 0]
-                ],
-                color: '#ff0000', // Z piece - Red
-                name: 'Z'
-            },
-            {
-                shape: [
-                    [1, 0, 0],
-                    [1, 1, 1],
-                    [0, 0, 0]
-                ],
-                color: '#0000ff', // J piece - Blue
-                name: 'J'
-            },
-            {
-                shape: [
-                    [0, 0, 1],
-                    [1, 1, 1],
-                    [0, 0, 0]
-                ],
-                color: '#ff8000', // L piece - Orange
-                name: 'L'
-            },
-            {
-                shape: [
-                    [1, 1, 1, 1]
-                ],
-                color: '#00ffff', // I piece - Cyan
-                name: 'I'
-            }
-        ];
-        
         this.init();
     }
     
@@ -156,9 +111,14 @@ class TetrisGame {
      */
     init() {
         this.setupEventListeners();
+        this.setupMenuOptions();
+        this.setupControlsScreen();
+        this.renderBindingLabels();
         this.setupResponsiveCanvas();
         this.updateDisplay();
         this.showMobileControls();
+        this.updateContinueButton();
+        this.openReplayLink();
         
         // Start metronome immediately for continuous beat
         this.sounds.startMetronome();
@@ -203,8 +163,8 @@ class TetrisGame {
         if (!gameBoard) {
             console.warn('Game board not found, using fallback sizing');
             this.BLOCK_SIZE = 20;
-            this.canvas.width = this.BLOCK_SIZE * this.BOARD_WIDTH;
-            this.canvas.height = this.BLOCK_SIZE * this.BOARD_HEIGHT;
+            this.canvas.width = this.BLOCK_SIZE * this.engine.BOARD_WIDTH;
+            this.canvas.height = this.BLOCK_SIZE * this.engine.VISIBLE_HEIGHT;
             this.canvas.style.width = this.canvas.width + 'px';
             this.canvas.style.height = this.canvas.height + 'px';
             return;
@@ -215,15 +175,16 @@ class TetrisGame {
         
         // Calculate block size based on container
         const maxBlockSize = Math.min(
-            Math.floor(containerWidth / this.BOARD_WIDTH),
-            Math.floor(containerHeight / this.BOARD_HEIGHT)
+            Math.floor(containerWidth / this.engine.BOARD_WIDTH),
+            Math.floor(containerHeight / this.engine.VISIBLE_HEIGHT)
         );
         
         this.BLOCK_SIZE = Math.max(maxBlockSize, 8);
         
         // Set canvas dimensions
-        const canvasWidth = this.BLOCK_SIZE * this.BOARD_WIDTH;
-        const canvasHeight = this.BLOCK_SIZE * this.BOARD_HEIGHT;
+        const canvasWidth = this.BLOCK_SIZE * this.engine.BOARD_WIDTH;
+        // Only the visible rows are drawn; the buffer above stays hidden
+        const canvasHeight = this.BLOCK_SIZE * this.engine.VISIBLE_HEIGHT;
         
         this.canvas.width = canvasWidth;
         this.canvas.height = canvasHeight;
@@ -237,22 +198,28 @@ class TetrisGame {
         // Redraw if game is running
         if (this.gameRunning) {
             this.draw();
-            this.drawNextPiece();
+            this.drawNextQueue();
             this.drawHoldPiece();
         }
     }
     
     /**
-     * Resize next piece canvas
+     * Resize next queue canvas: one slot per preview, stacked vertically
      */
     resizeNextCanvas() {
         const nextBox = document.querySelector('.next-box');
         if (nextBox) {
-            const size = Math.min(nextBox.clientWidth - 20, nextBox.clientHeight - 20, 80);
+            const size = Math.min(nextBox.clientWidth - 20, 80);
+            // Stacked slots fit the tallest piece plus a little spacing
+            const blockSize = size / this.pieceExtent.cells;
+            const slotHeight = this.engine.previewCount > 1
+                ? Math.min(size, Math.round(blockSize * (this.pieceExtent.rows + 0.4)))
+                : size;
+            const height = slotHeight * this.engine.previewCount;
             this.nextCanvas.width = size;
-            this.nextCanvas.height = size;
+            this.nextCanvas.height = height;
             this.nextCanvas.style.width = size + 'px';
-            this.nextCanvas.style.height = size + 'px';
+            this.nextCanvas.style.height = height + 'px';
         }
     }
     
@@ -275,6 +242,17 @@ class TetrisGame {
      */
     setupEventListeners() {
         // Main menu events
+        document.getElementById('continueBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.sounds.button();
+            const saved = this.loadSavedGame();
+            if (saved) {
+                this.showGameScreen(saved);
+            } else {
+                this.updateContinueButton();
+            }
+        });
+        
         document.getElementById('playBtn').addEventListener('click', () => {
             this.initAudioContext();
             this.sounds.button();
@@ -287,6 +265,12 @@ class TetrisGame {
             this.showInstructionsScreen();
         });
         
+        document.getElementById('controlsBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.sounds.button();
+            this.showControlsScreen();
+        });
+        
         document.getElementById('backToMenuBtn').addEventListener('click', () => {
             this.initAudioContext();
             this.sounds.button();
@@ -325,11 +309,48 @@ class TetrisGame {
             this.showMainMenu();
         });
         
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.watchReplay(this.gameReplay);
+        });
+        
+        document.getElementById('exportReplayBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.sounds.button();
+            this.exportReplay(this.gameReplay);
+        });
+        
+        document.getElementById('copyReplayLinkBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.sounds.button();
+            this.copyReplayLink(this.gameReplay);
+        });
+        
+        // Replay events
+        document.getElementById('replaysBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.showReplaysScreen();
+        });
+        
+        document.getElementById('backFromReplaysBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.showMainMenu();
+        });
+        
+        this.setupReplayControls();
+        this.setupReplayImport();
+        
+        // Replay links open straight in the viewer, including ones pasted
+        // into the address bar of an open game
+        window.addEventListener('hashchange', () => this.openReplayLink());
+        
         // Mobile control events
         document.getElementById('mobileLeft').addEventListener('click', () => this.handleMobileInput('left'));
         document.getElementById('mobileRight').addEventListener('click', () => this.handleMobileInput('right'));
         document.getElementById('mobileDown').addEventListener('click', () => this.handleMobileInput('down'));
         document.getElementById('mobileRotate').addEventListener('click', () => this.handleMobileInput('rotate'));
+        document.getElementById('mobileRotateCCW').addEventListener('click', () => this.handleMobileInput('rotateCCW'));
+        document.getElementById('mobileRotate180').addEventListener('click', () => this.handleMobileInput('rotate180'));
         document.getElementById('mobileHold').addEventListener('click', () => this.handleMobileInput('hold'));
         document.getElementById('mobileDrop').addEventListener('click', () => this.handleMobileInput('drop'));
         
@@ -337,12 +358,52 @@ class TetrisGame {
         // Keyboard events
         document.addEventListener('keydown', (e) => {
             console.log('Key pressed:', e.code, 'Game running:', this.gameRunning, 'Game paused:', this.gamePaused);
-            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space', 'KeyC', 'KeyP'].includes(e.code)) {
+            // The controls screen takes the next key as a new binding
+            if (this.capturingAction && !this.controlsScreen.classList.contains('hidden')) {
+                e.preventDefault();
+                this.captureBinding(e.code);
+                return;
+            }
+            // Let menu text fields and selects receive their own keys
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+            if (this.keyMap.has(e.code)) {
                 e.preventDefault();
             }
             this.handleKeyPress(e);
         });
         
+        document.addEventListener('keyup', (e) => {
+            this.handleKeyRelease(e);
+        });
+        
+        // Keys released while the window is unfocused never send keyup.
+        // Losing focus also pauses the game and silences the audio.
+        window.addEventListener('blur', () => {
+            this.input.releaseAll();
+            this.autoPause();
+        });
+        
+        window.addEventListener('focus', () => {
+            this.resumeAudio();
+        });
+        
+        // Endless sessions and replays are recorded when the page goes away
+        window.addEventListener('pagehide', () => {
+            this.recordEndlessSession();
+            this.saveReplay();
+            this.saveGame();
+        });
+        
+        // Hiding the tab pauses the game, which also saves it: mobile
+        // browsers may discard a hidden tab without a pagehide
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.autoPause();
+            } else if (document.hasFocus()) {
+                this.resumeAudio();
+            }
+        });
+        
         // Touch events for mobile
         this.setupTouchEvents();
         
@@ -357,6 +418,240 @@ class TetrisGame {
         });
     }
     
+    /**
+     * Populate the main menu game options from the current settings
+     */
+    setupMenuOptions() {
+        this.bindMenuSelect('modeSelect', 'mode',
+            Object.entries(TetrisModes.MODES).map(([mode, definition]) => [mode, definition.label]));
+        this.bindMenuSelect('ultraDurationSelect', 'ultraDuration',
+            TetrisModes.ULTRA_DURATIONS.map(seconds => [seconds, this.formatTime(seconds * 1000).slice(0, -4)]),
+            value => parseInt(value));
+        this.bindMenuSelect('digRowsSelect', 'digRows',
+            TetrisModes.DIG_ROWS.map(rows => [rows, rows]),
+            value => parseInt(value));
+        this.bindMenuSelect('digMessinessSelect', 'digMessiness',
+            TetrisModes.DIG_MESSINESS.map(messiness => [messiness, messiness === 0 ? 'CLEAN' : Math.round(messiness * 100) + '%']),
+            value => parseFloat(value));
+        this.bindMenuSelect('zenGravitySelect', 'zenGravity',
+            TetrisModes.ZEN_GRAVITIES.map(interval => [interval, { 0: 'OFF', 2000: 'SLOW', 1000: 'NORMAL', 500: 'FAST' }[interval]]),
+            value => parseInt(value));
+        this.bindMenuSelect('zenMusicSelect', 'zenMusic', [[true, 'ON'], [false, 'OFF']], value => value === 'true');
+        this.bindMenuSelect('fadeDelaySelect', 'fadeDelay',
+            TetrisModes.FADE_DELAYS.map(delay => [delay, delay === 0 ? 'INSTANT' : delay / 1000 + 'S']),
+            value => parseInt(value));
+        this.bindMenuSelect('pieceSetSelect', 'pieceSet',
+            Object.entries(TetrisPieces.PIECE_SETS).map(([set, definition]) => [set, definition.label]));
+        this.bindCustomPieceLoader();
+        this.bindMenuSelect('bigSelect', 'big', [[false, 'OFF'], [true, 'ON']], value => value === 'true');
+        this.bindMenuSelect('presetSelect', 'preset',
+            Object.entries(TetrisPresets.PRESETS).map(([preset, definition]) => [preset, definition.label]));
+        this.bindMenuSelect('randomizerSelect', 'randomizer',
+            Object.entries(TetrisRandomizer.RANDOMIZERS).map(([type, randomizer]) => [type, randomizer.label]));
+        this.bindMenuSelect('previewSelect', 'previewCount',
+            Array.from({ length: TetrisEngine.MAX_PREVIEWS }, (_, i) => [i + 1, i + 1]),
+            value => parseInt(value));
+        this.bindMenuSelect('gravitySelect', 'gravityCurve',
+            Object.entries(TetrisGravity.CURVES).map(([curve, definition]) => [curve, definition.label]));
+        this.bindMenuSelect('lockResetSelect', 'lockResetMode',
+            Object.entries(TetrisEngine.LOCK_RESET_MODES).map(([mode, lockReset]) => [mode, lockReset.label]));
+        this.bindMenuNumber('widthInput', 'width', ...TetrisPresets.WIDTH_RANGE);
+        this.bindMenuNumber('heightInput', 'height', ...TetrisPresets.HEIGHT_RANGE);
+        this.bindMenuNumber('bufferInput', 'bufferHeight', ...TetrisPresets.BUFFER_RANGE);
+        this.bindPresetMenu({
+            randomizer: 'randomizerSelect',
+            previewCount: 'previewSelect',
+            gravityCurve: 'gravitySelect',
+            lockResetMode: 'lockResetSelect',
+            width: 'widthInput',
+            height: 'heightInput',
+            bufferHeight: 'bufferInput'
+        });
+        
+        // Handling
+        this.bindMenuNumber('dasInput', 'das', 0, 500);
+        this.bindMenuNumber('arrInput', 'arr', 0, 200);
+        this.bindMenuSelect('softDropSelect', 'softDropFactor',
+            this.SOFT_DROP_FACTORS.map(factor => [factor, factor === 'instant' ? 'INSTANT' : factor + 'X']),
+            value => value === 'instant' ? value : parseInt(value));
+        this.bindMenuNumber('dasCutInput', 'dasCut', 0, 500);
+        
+        // A blank seed picks a random one each game; ?seed= pre-fills it
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        if (seedParam) {
+            document.getElementById('seedInput').value = seedParam.slice(0, 32);
+        }
+    }
+    
+    /**
+     * Load a user-defined piece set from a JSON file picked in the main menu.
+     * A valid set that fits the board is stored and selected; otherwise the
+     * current set is left alone and what is wrong is shown.
+     */
+    bindCustomPieceLoader() {
+        const fileInput = document.getElementById('customPiecesInput');
+        document.getElementById('loadPiecesBtn').addEventListener('click', () => fileInput.click());
+        this.showPieceSetStatus();
+        
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            
+            let text;
+            try {
+                text = await file.text();
+                const pieceSet = TetrisPieces.parsePieceSet(text);
+                const fitError = this.getBoardFitError(this.settings, pieceSet.pieces);
+                if (fitError) {
+                    throw new Error(fitError);
+                }
+                this.customPieceSet = pieceSet;
+            } catch (error) {
+                this.showPieceSetStatus(`${file.name}: ${error.message}`);
+                return;
+            }
+            
+            try {
+                localStorage.setItem('tetrisCustomPieces', text);
+            } catch (error) {
+                console.warn('Could not save custom pieces:', error);
+            }
+            this.settings.pieceSet = 'custom';
+            document.getElementById('pieceSetSelect').value = 'custom';
+            this.saveSettings();
+            this.showPieceSetStatus();
+        });
+    }
+    
+    /**
+     * Describe the loaded custom piece set, or show an error instead
+     */
+    showPieceSetStatus(error = null) {
+        const status = document.getElementById('pieceSetStatus');
+        status.classList.toggle('error', Boolean(error));
+        if (error) {
+            status.textContent = error;
+        } else if (this.customPieceSet) {
+            const { name, pieces } = this.customPieceSet;
+            status.textContent = `${name}: ${pieces.map(piece => piece.name).join(' ')}`;
+        } else {
+            status.textContent = 'NO CUSTOM SET LOADED';
+        }
+    }
+    
+    /**
+     * Keep the preset select and the rule inputs it fills in agreeing:
+     * picking a preset applies its rules, editing a rule makes it Custom
+     *
+     * @param {Object} ruleInputs - Menu element id for each preset rule key
+     */
+    bindPresetMenu(ruleInputs) {
+        const presetSelect = document.getElementById('presetSelect');
+        
+        presetSelect.addEventListener('change', () => {
+            const { rules } = TetrisPresets.PRESETS[this.settings.preset];
+            if (!rules) return;
+            
+            // A preset whose board the pieces do not fit is not applied
+            const previous = { ...this.settings };
+            Object.assign(this.settings, rules);
+            if (!this.keepBoardFit(previous)) {
+                this.settings.preset = Object.keys(TetrisPresets.PRESETS)
+                    .find(preset => TetrisPresets.matchesPreset(preset, this.settings));
+                presetSelect.value = this.settings.preset;
+                this.saveSettings();
+                return;
+            }
+            for (const [key, id] of Object.entries(ruleInputs)) {
+                document.getElementById(id).value = this.settings[key];
+            }
+            this.saveSettings();
+        });
+        
+        for (const id of Object.values(ruleInputs)) {
+            document.getElementById(id).addEventListener('change', () => {
+                if (!TetrisPresets.matchesPreset(this.settings.preset, this.settings)) {
+                    this.settings.preset = 'custom';
+                    presetSelect.value = 'custom';
+                    this.saveSettings();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Fill a menu select with [value, label] choices and keep a setting in sync with it
+     */
+    bindMenuSelect(id, key, choices, parse = value => value) {
+        const select = document.getElementById(id);
+        for (const [value, label] of choices) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = this.settings[key];
+        select.addEventListener('change', () => {
+            const previous = { ...this.settings };
+            this.settings[key] = parse(select.value);
+            if (this.keepBoardFit(previous)) {
+                this.saveSettings();
+            }
+            select.value = this.settings[key];
+        });
+    }
+    
+    /**
+     * Keep a numeric setting in sync with a menu input, clamped to [min, max]
+     */
+    bindMenuNumber(id, key, min, max) {
+        const input = document.getElementById(id);
+        input.min = min;
+        input.max = max;
+        input.value = this.settings[key];
+        input.addEventListener('change', () => {
+            const value = parseInt(input.value);
+            if (!isNaN(value)) {
+                const previous = { ...this.settings };
+                this.settings[key] = Math.min(max, Math.max(min, value));
+                if (this.keepBoardFit(previous)) {
+                    this.saveSettings();
+                }
+            }
+            input.value = this.settings[key];
+        });
+    }
+    
+    /**
+     * Undo a menu change that leaves the selected pieces too wide for the
+     * board, saying why under the board options
+     *
+     * @param {Object} previous - Settings before the change
+     * @returns {boolean} Whether the change was kept
+     */
+    keepBoardFit(previous) {
+        const error = this.getBoardFitError(this.settings, this.getPieces());
+        const status = document.getElementById('boardStatus');
+        status.classList.toggle('error', Boolean(error));
+        status.textContent = error || '';
+        if (error) {
+            Object.assign(this.settings, previous);
+        }
+        return !error;
+    }
+    
+    /**
+     * Why a piece set cannot be played on the board in some settings, or
+     * null if its widest piece fits (Big mode halves the field)
+     */
+    getBoardFitError(settings, pieces) {
+        const size = TetrisPieces.getMaxPieceSize(pieces);
+        const scale = settings.big ? 2 : 1;
+        if (Math.floor(settings.width / scale) >= size) return null;
+        return `Pieces ${size} cells wide need a board at least ${size * scale} wide${settings.big ? ' in BIG mode' : ''}`;
+    }
+    
     /**
      * Setup touch events for mobile
      */
@@ -384,13 +679,23 @@ class TetrisGame {
     
     /**
      * Handle swipe gestures
+     * Tap left/right half rotates CCW/CW, swipe up rotates CW and a long
+     * swipe up (over half the board) rotates 180
      */
     handleSwipe(startX, startY, endX, endY) {
         const deltaX = endX - startX;
         const deltaY = endY - startY;
         const minSwipeDistance = 30;
         
-        if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        if (Math.abs(deltaX) <= minSwipeDistance && Math.abs(deltaY) <= minSwipeDistance) {
+            // Tap
+            const rect = this.canvas.getBoundingClientRect();
+            if (endX < rect.left + rect.width / 2) {
+                this.handleMobileInput('rotateCCW');
+            } else {
+                this.handleMobileInput('rotate');
+            }
+        } else if (Math.abs(deltaX) > Math.abs(deltaY)) {
             // Horizontal swipe
             if (Math.abs(deltaX) > minSwipeDistance) {
                 if (deltaX > 0) {
@@ -404,6 +709,8 @@ class TetrisGame {
             if (Math.abs(deltaY) > minSwipeDistance) {
                 if (deltaY > 0) {
                     this.handleMobileInput('down');
+                } else if (-deltaY > this.canvas.getBoundingClientRect().height / 2) {
+                    this.handleMobileInput('rotate180');
                 } else {
                     this.handleMobileInput('rotate');
                 }
@@ -411,72 +718,6 @@ class TetrisGame {
         }
     }
     
-    /**
-     * Handle keyboard input
-     */
-    handleKeyPress(e) {
-        console.log('handleKeyPress called with:', e.code);
-        // Initialize audio on first user interaction
-        this.initAudioContext();
-        
-        console.log('Game state check:', {
-            gameRunning: this.gameRunning,
-            gamePaused: this.gamePaused,
-            currentPiece: !!this.currentPiece
-        });
-        
-        if (!this.gameRunning || this.gamePaused || !this.currentPiece) {
-            console.log('Early return due to game state');
-            return;
-        }
-        
-        const currentTime = Date.now();
-        if (currentTime - this.lastMoveTime < this.moveDelay) {
-            console.log('Early return due to move delay');
-            return;
-        }
-        this.lastMoveTime = currentTime;
-        
-        switch(e.code) {
-            case 'ArrowLeft':
-                console.log('Moving left');
-                this.sounds.move();
-                this.movePiece(-1, 0);
-                break;
-            case 'ArrowRight':
-                console.log('Moving right');
-                this.sounds.move();
-                this.movePiece(1, 0);
-                break;
-            case 'ArrowDown':
-                console.log('Moving down');
-                this.sounds.drop();
-                this.movePiece(0, 1);
-                break;
-            case 'ArrowUp':
-                console.log('Rotating');
-                this.sounds.rotate();
-                this.rotatePiece();
-                break;
-            case 'Space':
-                console.log('Hard drop');
-                this.sounds.drop();
-                this.hardDrop();
-                break;
-            case 'KeyC':
-                console.log('Hold piece');
-                this.sounds.button();
-                this.holdCurrentPiece();
-                break;
-            case 'KeyP':
-                console.log('Toggle pause');
-                this.togglePause();
-                break;
-            default:
-                console.log('Unhandled key:', e.code);
-        }
-    }
-    
     /**
      * Handle mobile input
      */
@@ -484,36 +725,42 @@ class TetrisGame {
         // Initialize audio on first user interaction
         this.initAudioContext();
         
-        if (!this.gameRunning || this.gamePaused || !this.currentPiece) return;
-        
-        const currentTime = Date.now();
-        if (currentTime - this.lastMoveTime < this.moveDelay) return;
-        this.lastMoveTime = currentTime;
+        // Like keys, taps during the entry delay (ARE) between pieces are
+        // applied to the next piece when it spawns
+        if (!this.gameRunning || this.gamePaused) return;
         
         switch(action) {
             case 'left':
                 this.sounds.move();
-                this.movePiece(-1, 0);
+                this.queueInput('moveLeft');
                 break;
             case 'right':
                 this.sounds.move();
-                this.movePiece(1, 0);
+                this.queueInput('moveRight');
                 break;
             case 'down':
                 this.sounds.drop();
-                this.movePiece(0, 1);
+                this.queueInput('softDrop');
                 break;
             case 'rotate':
                 this.sounds.rotate();
-                this.rotatePiece();
+                this.queueInput('rotateCW');
+                break;
+            case 'rotateCCW':
+                this.sounds.rotate();
+                this.queueInput('rotateCCW');
+                break;
+            case 'rotate180':
+                this.sounds.rotate();
+                this.queueInput('rotate180');
                 break;
             case 'hold':
                 this.sounds.button();
-                this.holdCurrentPiece();
+                this.queueInput('hold');
                 break;
             case 'drop':
                 this.sounds.drop();
-                this.hardDrop();
+                this.queueInput('hardDrop');
                 break;
         }
     }
@@ -2053,7 +2300,7 @@ class TetrisGame {
             this.updateDynamics = () => {
                 // Dynamic changes based on game intensity
                 const baseDynamics = 0.3 + (this.classicalSystem.intensity * 0.4);
-                const intensity = Math.min(this.level / 10, 1); // Scale with game level
+                const intensity = Math.min(this.engine.level / 10, 1); // Scale with game level
                 this.classicalSystem.dynamics = baseDynamics + (intensity * 0.4);
                 
                 // Update all voices with new dynamics
@@ -2266,11 +2513,11 @@ class TetrisGame {
             
             // Get number of lines near the top for tension calculation
             this.getLinesNearTop = () => {
-                if (!this.board) return 0;
+                if (!this.engine.board) return 0;
                 let linesNearTop = 0;
-                for (let y = 0; y < 5; y++) {
-                    for (let x = 0; x < this.BOARD_WIDTH; x++) {
-                        if (this.board[y][x] !== 0) {
+                for (let y = this.engine.BUFFER_HEIGHT; y < this.engine.BUFFER_HEIGHT + 5; y++) {
+                    for (let x = 0; x < this.engine.BOARD_WIDTH; x++) {
+                        if (this.engine.board[y][x] !== 0) {
                             linesNearTop++;
                             break;
                         }
@@ -3897,7 +4144,7 @@ class TetrisGame {
             
             this.getOrganNote = (scaleType = 'major', octave = 1) => {
                 const scale = this.organScales[scaleType];
-                const note = scale[Math.floor(Math.random() * scale.length)];
+                const note = scale[Math.floor(this.effectsRng.next() * scale.length)];
                 return note * octave;
             };
             
@@ -4349,6 +4596,15 @@ class TetrisGame {
                 },
                 startMetronome: () => this.startMetronome(),
                 stopMetronome: () => this.stopMetronome(),
+                startAmbient: () => {
+                    if (!this.audioContext) return;
+                    this.startAmbientPads();
+                    this.startEnoAmbientSystem();
+                },
+                stopAmbient: () => {
+                    this.stopAmbientPads();
+                    this.stopEnoAmbientSystem();
+                },
                 highScore: (points) => {
                     // Organ notes from sparkle scale for high score celebration
                     const baseFreq = this.getOrganNote('sparkle', 1);
@@ -4401,7 +4657,9 @@ class TetrisGame {
                 levelUp: () => {},
                 tetris: () => {},
                 startMetronome: () => {},
-                stopMetronome: () => {}
+                stopMetronome: () => {},
+                startAmbient: () => {},
+                stopAmbient: () => {}
             };
         }
     }
@@ -4413,416 +4671,456 @@ class TetrisGame {
         // Initialize audio on first user interaction
         this.initAudioContext();
         
-        if (e.code === 'KeyP') {
+        // Auto-repeat comes from the handling model, not the OS key repeat
+        if (e.repeat) return;
+        
+        const action = this.keyMap.get(e.code);
+        if (action === 'pause') {
             this.sounds.button();
             this.togglePause();
             return;
         }
         
-        if (!this.gameRunning || this.gamePaused || !this.currentPiece) return;
+        // Restart only from the game screen: the menus keep gameRunning set
+        // behind them, and restarting there would discard the saved game
+        if (action === 'restart') {
+            if (this.gameRunning && !this.gameScreen.classList.contains('hidden')) {
+                this.sounds.button();
+                this.resetGame();
+            }
+            return;
+        }
         
-        const currentTime = Date.now();
-        if (currentTime - this.lastMoveTime < this.moveDelay) return;
-        this.lastMoveTime = currentTime;
+        // Keys pressed during the entry delay (ARE) between pieces are
+        // applied to the next piece when it spawns
+        if (!this.gameRunning || this.gamePaused) return;
         
-        switch(e.code) {
-            case 'ArrowLeft':
-                this.sounds.move();
-                this.movePiece(-1, 0);
-                break;
-            case 'ArrowRight':
+        switch(action) {
+            case 'moveLeft':
+            case 'moveRight':
                 this.sounds.move();
-                this.movePiece(1, 0);
+                this.input.press(action);
                 break;
-            case 'ArrowDown':
+            case 'softDrop':
                 this.sounds.drop();
-                this.movePiece(0, 1);
+                this.input.press(action);
                 break;
-            case 'ArrowUp':
+            case 'rotateCW':
+            case 'rotateCCW':
+            case 'rotate180':
                 this.sounds.rotate();
-                this.rotatePiece();
+                this.queueInput(action);
                 break;
-            case 'Space':
+            case 'hardDrop':
                 this.sounds.drop();
-                this.hardDrop();
+                this.queueInput(action);
                 break;
-            case 'KeyC':
+            case 'hold':
                 this.sounds.button();
-                this.holdCurrentPiece();
+                this.queueInput(action);
                 break;
         }
     }
     
     /**
-     * Generate next piece
-     */
-    generateNextPiece() {
-        const randomIndex = Math.floor(Math.random() * this.pieces.length);
-        this.nextPiece = {
-            ...this.pieces[randomIndex],
-            x: Math.floor((this.BOARD_WIDTH - this.pieces[randomIndex].shape[0].length) / 2),
-            y: 0
-        };
-        this.drawNextPiece();
-    }
-    
-    // First spawnPiece method removed - using the complete one below
-    
-    /**
-     * Check collision for piece movement
+     * Handle keyboard release of held actions
      */
-    checkCollision(piece, dx, dy) {
-        const newX = piece.x + dx;
-        const newY = piece.y + dy;
-        
-        for (let y = 0; y < piece.shape.length; y++) {
-            for (let x = 0; x < piece.shape[y].length; x++) {
-                if (piece.shape[y][x]) {
-                    const boardX = newX + x;
-                    const boardY = newY + y;
-                    
-                    if (boardX < 0 || boardX >= this.BOARD_WIDTH ||
-                        boardY >= this.BOARD_HEIGHT ||
-                        (boardY >= 0 && this.board[boardY][boardX] !== 0)) {
-                        return true;
-                    }
-                }
-            }
+    handleKeyRelease(e) {
+        const action = this.keyMap.get(e.code);
+        switch(action) {
+            case 'moveLeft':
+            case 'moveRight':
+            case 'softDrop':
+                this.input.release(action);
+                break;
         }
-        return false;
     }
     
     /**
-     * Move piece (performance optimized)
+     * Queue an engine action to be applied on the next frame
      */
-    movePiece(dx, dy) {
-        if (!this.checkCollision(this.currentPiece, dx, dy)) {
-            this.currentPiece.x += dx;
-            this.currentPiece.y += dy;
-            this.needsRedraw = true;
-            
-            // Add juice for movement
-            if (dx !== 0) {
-                this.addScreenShake(0.5);
-            }
-        } else {
-            // Collision detected - add subtle contact sound
-            if (dx !== 0) {
-                this.sounds.contact();
-            }
-            
-            if (dy > 0) {
-                // Add anticipation sound before placing piece
-                const currentChord = this.classicalSystem.chordProgressions[this.classicalSystem.currentChord];
-                this.createAnticipation(currentChord[0] * 0.8, 0.1, 0.15);
-                
-                this.placePiece();
-            }
-        }
+    queueInput(action) {
+        this.input.trigger(action);
     }
     
     /**
-     * Hard drop piece
+     * Create the engine for a new game from the current settings, or pick
+     * up a saved game where it was left
+     *
+     * @param {Object} [saved] - From loadSavedGame()
      */
-    hardDrop() {
-        let dropDistance = 0;
-        while (!this.checkCollision(this.currentPiece, 0, 1)) {
-            this.currentPiece.y++;
-            dropDistance++;
+    createEngine(saved = null) {
+        const seedInput = document.getElementById('seedInput');
+        const seed = seedInput ? seedInput.value.trim() : '';
+        const settings = saved ? saved.replay.settings : this.settings;
+        
+        // The mode is fixed for the whole game even if the menu changes
+        this.setGameView(settings);
+        if (saved) {
+            this.engine = new TetrisEngine(this.getEngineOptions(settings, this.getReplayPieces(saved.replay), saved.replay.seed));
+            this.engine.setState(saved.engine);
+        } else {
+            this.engine = new TetrisEngine(this.getEngineOptions(settings, this.getPieces(), seed || undefined));
         }
         
-        if (dropDistance > 0) {
-            this.score += dropDistance * 2; // Bonus points for hard drop
-            
-            // Play pronounced hard drop sound
-            this.sounds.hardDrop();
-            
-            // Play high score sound for significant bonus points
-            if (dropDistance * 2 >= 100) {
-                this.sounds.highScore(dropDistance * 2);
-            }
-            
-            this.updateDisplay();
-            this.placePiece();
+        // Preview and hold boxes are scaled to fit the largest piece
+        this.pieceExtent = this.measurePieces(this.engine.pieces);
+        
+        // Cosmetic randomness (organ notes, explosions) gets its own stream
+        // so it never shifts the piece sequence
+        this.effectsRng = new TetrisRNG(this.engine.seed + ':effects');
+        
+        // Held keys are turned into engine actions by the handling model
+        this.input = new TetrisInput({
+            das: settings.das,
+            arr: settings.arr,
+            softDropFactor: settings.softDropFactor === 'instant' ? Infinity : settings.softDropFactor,
+            dasCut: settings.dasCut
+        });
+        
+        // Every game is recorded so it can be watched back; a saved game
+        // carries on with the replay it was recorded into
+        if (saved) {
+            this.effectsRng.setState(saved.effects);
+            this.input.presses = saved.presses;
+            this.recorder = TetrisReplay.ReplayRecorder.fromReplay(saved.replay);
+        } else {
+            this.recorder = new TetrisReplay.ReplayRecorder({
+                seed: this.engine.seed,
+                settings: this.settings,
+                pieces: this.settings.pieceSet === 'custom' ? TetrisPieces.serializePieces(this.engine.pieces) : null
+            });
         }
+        this.gameReplay = null; // Set by saveReplay() once the game is worth keeping
+        this.frameTime = 0;
+        
+        this.bindEngineEvents();
     }
     
     /**
-     * Rotate piece (performance optimized)
+     * Engine options for a game played with the given menu settings
      */
-    rotatePiece() {
-        const rotated = this.rotateMatrix(this.currentPiece.shape);
-        const originalShape = this.currentPiece.shape;
-        
-        this.currentPiece.shape = rotated;
-        
-        if (this.checkCollision(this.currentPiece, 0, 0)) {
-            // Try wall kicks
-            const kicks = this.getWallKicks(this.currentPiece);
-            let canRotate = false;
-            
-            for (const kick of kicks) {
-                if (!this.checkCollision(this.currentPiece, kick.x, kick.y)) {
-                    this.currentPiece.x += kick.x;
-                    this.currentPiece.y += kick.y;
-                    canRotate = true;
-                    break;
-                }
-            }
-            
-            if (!canRotate) {
-            this.currentPiece.shape = originalShape;
-            }
-        }
-        
-        this.needsRedraw = true;
-        this.addScreenShake(0.1);
+    getEngineOptions(settings, pieces, seed) {
+        return {
+            randomizer: settings.randomizer,
+            previewCount: settings.previewCount,
+            lockResetMode: settings.lockResetMode,
+            gravityCurve: settings.gravityCurve,
+            width: settings.width,
+            height: settings.height,
+            bufferHeight: settings.bufferHeight,
+            pieces,
+            scale: settings.big ? 2 : 1,
+            seed,
+            ...TetrisModes.MODES[settings.mode].engine(settings)
+        };
     }
     
     /**
-     * Get wall kicks for piece rotation
+     * Set up the HUD, music and stack fading for a game's settings
      */
-    getWallKicks(piece) {
-        // Basic wall kicks - can be expanded for more sophisticated kicks
-        return [
-            { x: 0, y: 0 },
-            { x: -1, y: 0 },
-            { x: 1, y: 0 },
-            { x: 0, y: -1 },
-            { x: -1, y: -1 },
-            { x: 1, y: -1 }
-        ];
+    setGameView(settings) {
+        this.mode = settings.mode;
+        this.recordKey = TetrisModes.getRecordKey(this.mode, settings);
+        this.ambientMusic = Boolean(TetrisModes.MODES[this.mode].ambient && settings.zenMusic);
+        
+        // Invisible mode fades locked cells; null keeps the stack visible
+        this.fadeDelay = TetrisModes.MODES[this.mode].fade ? settings.fadeDelay : null;
+        this.revealUntil = 0;
+        this.revealAll = false;
     }
     
     /**
-     * Rotate matrix 90 degrees clockwise
+     * Pieces for the selected piece set; Custom falls back to tetrominoes
+     * until a set has been loaded
      */
-    rotateMatrix(matrix) {
-        const rows = matrix.length;
-        const cols = matrix[0].length;
-        const rotated = Array(cols).fill().map(() => Array(rows).fill(0));
-        
-        for (let y = 0; y < rows; y++) {
-            for (let x = 0; x < cols; x++) {
-                rotated[x][rows - 1 - y] = matrix[y][x];
-            }
+    getPieces(settings = this.settings) {
+        if (settings.pieceSet === 'custom') {
+            return this.customPieceSet ? this.customPieceSet.pieces : TetrisPieces.PIECE_SETS.tetromino.pieces;
         }
-        return rotated;
+        return TetrisPieces.PIECE_SETS[settings.pieceSet].pieces;
     }
     
     /**
-     * Hold current piece
+     * Pieces a replay (or saved game) was played with
      */
-    holdCurrentPiece() {
-        if (!this.canHold) return;
-        
-        if (this.holdPiece === null) {
-            this.holdPiece = {
-                ...this.currentPiece,
-                x: Math.floor((this.BOARD_WIDTH - this.currentPiece.shape[0].length) / 2),
-                y: 0
-            };
-            this.spawnPiece();
-        } else {
-            const temp = this.holdPiece;
-            this.holdPiece = {
-                ...this.currentPiece,
-                x: Math.floor((this.BOARD_WIDTH - this.currentPiece.shape[0].length) / 2),
-                y: 0
-            };
-            this.currentPiece = temp;
-        }
-        
-        this.canHold = false;
-        this.needsRedraw = true;
-        this.draw();
-        this.drawHoldPiece();
+    getReplayPieces(replay) {
+        return replay.pieces ? TetrisPieces.parsePieceSet(replay.pieces).pieces
+            : TetrisPieces.PIECE_SETS[replay.settings.pieceSet].pieces;
     }
     
     /**
-     * Place piece on board
+     * Largest trimmed piece size in cells: `cells` across either side (at
+     * least 4, so small pieces keep the usual scale) and `rows` tall
      */
-    placePiece() {
-        for (let y = 0; y < this.currentPiece.shape.length; y++) {
-            for (let x = 0; x < this.currentPiece.shape[y].length; x++) {
-                if (this.currentPiece.shape[y][x]) {
-                    const boardX = this.currentPiece.x + x;
-                    const boardY = this.currentPiece.y + y;
-                    if (boardY >= 0) {
-                        this.board[boardY][boardX] = this.currentPiece.color;
-                    }
-                }
-            }
-        }
-        
-        this.addScreenShake(0.7);
-        this.createParticles(
-            this.canvas.offsetLeft + this.canvas.width / 2,
-            this.canvas.offsetTop + this.canvas.height / 2,
-            10
-        );
-        
-        // Add pronounced landing sound effect
-        this.sounds.landing();
-        
-        // Add micro-interaction for subtle feedback
-        if (this.classicalSystem && this.classicalSystem.chordProgressions && this.classicalSystem.currentChord !== undefined) {
-        const currentChord = this.classicalSystem.chordProgressions[this.classicalSystem.currentChord];
-        this.createMicroInteraction(currentChord[1] * 1.5, 0.05, 0.1);
+    measurePieces(pieces) {
+        let cells = 4;
+        let rows = 1;
+        for (const piece of pieces) {
+            const shape = this.getPreviewShape(piece.shape);
+            cells = Math.max(cells, shape.length, shape[0].length);
+            rows = Math.max(rows, shape.length);
         }
-        
-        this.clearLines();
-        this.spawnPiece();
+        return { cells, rows };
     }
     
     /**
-     * Spawn a new piece
+     * Subscribe renderer, audio and effects to engine events
      */
-    spawnPiece() {
-        // If no next piece, generate one
-        if (!this.nextPiece) {
-            this.nextPiece = this.getRandomPiece();
-        }
-        
-        // Set current piece to next piece
-        this.currentPiece = {
-            ...this.nextPiece,
-            x: Math.floor((this.BOARD_WIDTH - this.nextPiece.shape[0].length) / 2),
-            y: 0
-        };
-        
-        // Generate new next piece
-        this.nextPiece = this.getRandomPiece();
+    bindEngineEvents() {
+        const engine = this.engine;
         
-        // Reset hold ability
-        this.canHold = true;
-        
-        // Check for game over
-        if (this.checkCollision(this.currentPiece, 0, 0)) {
-            this.gameOver();
-            return;
-        }
-        
-        // Update displays
-        this.needsRedraw = true;
-        this.drawNextPiece();
-        this.updateDisplay();
-    }
-    
-    /**
-     * Get a random piece
-     */
-    getRandomPiece() {
-        const randomIndex = Math.floor(Math.random() * this.pieces.length);
-        return { ...this.pieces[randomIndex] };
-    }
-    
-    /**
-     * Clear completed lines
-     */
-    clearLines() {
-        let linesCleared = 0;
-        const linesToClear = [];
-        
-        for (let y = this.BOARD_HEIGHT - 1; y >= 0; y--) {
-            if (this.board[y].every(cell => cell !== 0)) {
-                linesToClear.push(y);
-                linesCleared++;
+        engine.on('move', ({ dx }) => {
+            this.needsRedraw = true;
+            
+            // Add juice for movement
+            if (dx !== 0) {
+                this.addScreenShake(0.5);
             }
-        }
+        });
         
-        if (linesCleared > 0) {
-            // Remove cleared lines
-            for (const lineIndex of linesToClear) {
-                this.board.splice(lineIndex, 1);
-                this.board.unshift(Array(this.BOARD_WIDTH).fill(0));
+        engine.on('blocked', ({ dx, dy }) => {
+            // Collision detected - add subtle contact sound
+            if (dx !== 0) {
+                this.sounds.contact();
             }
             
-            this.lines += linesCleared;
-            
-            // Calculate score based on lines cleared
-            let lineScore = 0;
-            switch(linesCleared) {
-                case 1: lineScore = 100; break;
-                case 2: lineScore = 300; break;
-                case 3: lineScore = 500; break;
-                case 4: lineScore = 800; break;
+            if (dy > 0) {
+                // Add anticipation sound before the piece locks
+                const currentChord = this.classicalSystem.chordProgressions[this.classicalSystem.currentChord];
+                this.createAnticipation(currentChord[0] * 0.8, 0.1, 0.15);
             }
+        });
+        
+        engine.on('rotate', () => {
+            this.input.cutDas();
+            this.needsRedraw = true;
+            this.addScreenShake(0.1);
+        });
+        
+        engine.on('hardDrop', ({ points }) => {
+            // Play pronounced hard drop sound
+            this.sounds.hardDrop();
             
-            this.score += lineScore * this.level;
-            const oldLevel = this.level;
-            this.level = Math.floor(this.lines / 10) + 1;
-            this.dropInterval = Math.max(50, 1000 - (this.level - 1) * 50);
-            
-            // Update classical system intensity based on level
-            if (this.sounds && this.sounds.classicalSystem) {
-                this.sounds.classicalSystem.level = this.level;
-                this.sounds.classicalSystem.intensity = Math.min(1, (this.level - 1) * 0.2);
+            // Play high score sound for significant bonus points
+            if (points >= 100) {
+                this.sounds.highScore(points);
             }
             
-            // Enhanced visual effects
-            this.addScreenShake(linesCleared > 2 ? 3 : 2);
-            this.addLineClearFlash();
-            this.addScreenFlicker();
-            this.createExplosion(
+            this.updateDisplay();
+        });
+        
+        engine.on('lock', () => {
+            this.addScreenShake(0.7);
+            this.createParticles(
                 this.canvas.offsetLeft + this.canvas.width / 2,
                 this.canvas.offsetTop + this.canvas.height / 2,
-                linesCleared
+                10
             );
             
-            // Score popup with enhanced animation
-            this.createScorePopup(lineScore * this.level, this.canvas.offsetLeft + this.canvas.width / 2, this.canvas.offsetTop + this.canvas.height / 2);
-            
-            // Enhanced sound effects based on lines cleared
-            if (linesCleared === 4) {
-                this.sounds.tetris();
-            } else if (linesCleared >= 2) {
-                // Enhanced line clear for multiple lines
-                this.sounds.lineClear();
-                // Additional celebration for multiple lines
-                setTimeout(() => {
-                    this.sounds.highScore(lineScore * this.level);
-                }, 300);
-            } else {
-            this.sounds.lineClear();
-            }
-            
-            // High score sound for significant scoring
-            if (lineScore * this.level >= 500) {
-                setTimeout(() => {
-                    this.sounds.highScore(lineScore * this.level);
-                }, 600);
-            }
+            // Add pronounced landing sound effect
+            this.sounds.landing();
             
-            // Level up celebration
-            if (this.level > oldLevel) {
-                this.sounds.levelUp();
-                this.addLevelUpCelebration();
+            // Add micro-interaction for subtle feedback
+            if (this.classicalSystem && this.classicalSystem.chordProgressions && this.classicalSystem.currentChord !== undefined) {
+                const currentChord = this.classicalSystem.chordProgressions[this.classicalSystem.currentChord];
+                this.createMicroInteraction(currentChord[1] * 1.5, 0.05, 0.1);
             }
-            
+        });
+        
+        engine.on('tSpin', ({ type, lines, points }) => {
+            // Clears get their callout from onLinesCleared
+            if (lines > 0) return;
+            this.sounds.highScore(points);
+            this.createScorePopup(points, this.canvas.offsetLeft + this.canvas.width / 2, this.canvas.offsetTop + this.canvas.height / 2,
+                [this.getClearLabel(lines, type)]);
+            this.updateDisplay();
+        });
+        
+        engine.on('lineClear', (clear) => {
+            // A faded stack flashes back into view on every clear
+            this.revealUntil = engine.elapsed + this.STACK_REVEAL_MS;
+            this.onLinesCleared(clear);
+        });
+        
+        engine.on('levelUp', () => {
+            this.sounds.levelUp();
+            this.addLevelUpCelebration();
+        });
+        
+        engine.on('hold', () => {
+            this.input.cutDas();
+            this.needsRedraw = true;
+            this.draw();
+            this.drawHoldPiece();
+        });
+        
+        engine.on('spawn', () => {
+            this.input.cutDas();
             this.needsRedraw = true;
+            this.drawNextQueue();
             this.updateDisplay();
+        });
+        
+        engine.on('topOut', () => {
+            // Endless modes wipe the board instead of ending
+            this.addScreenShake(3);
+            this.addLineClearFlash();
+            this.sounds.lineClear();
+            this.needsRedraw = true;
+        });
+        
+        engine.on('finish', () => this.gameOver());
+        engine.on('gameOver', () => this.gameOver());
+    }
+    
+    /**
+     * Callout text for a clear, e.g. "T-SPIN DOUBLE" or "TETRIS"
+     */
+    getClearLabel(lines, tSpin) {
+        const names = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+        if (tSpin) {
+            const prefix = tSpin === 'mini' ? 'T-SPIN MINI' : 'T-SPIN';
+            return lines > 0 ? `${prefix} ${names[lines]}` : prefix;
+        }
+        return lines === 4 ? names[4] : '';
+    }
+    
+    /**
+     * Line clear effects and sounds
+     */
+    onLinesCleared({ lines: linesCleared, points, tSpin, combo, backToBack, perfectClear }) {
+        // Update classical system intensity based on level; Master starts at
+        // level 0 and climbs to 999, so it goes by section (1-10) instead
+        if (this.sounds && this.sounds.classicalSystem) {
+            this.sounds.classicalSystem.level = this.engine.level;
+            const stage = this.engine.getScoreMultiplier();
+            this.sounds.classicalSystem.intensity = Math.max(0, Math.min(1, (stage - 1) * 0.2));
+        }
+        
+        // Enhanced visual effects
+        this.addScreenShake(linesCleared > 2 ? 3 : 2);
+        this.addLineClearFlash();
+        this.addScreenFlicker();
+        this.createExplosion(
+            this.canvas.offsetLeft + this.canvas.width / 2,
+            this.canvas.offsetTop + this.canvas.height / 2,
+            linesCleared
+        );
+        
+        // Score popup with enhanced animation
+        const clearLabel = this.getClearLabel(linesCleared, tSpin);
+        this.createScorePopup(points, this.canvas.offsetLeft + this.canvas.width / 2, this.canvas.offsetTop + this.canvas.height / 2, [
+            backToBack ? `B2B ${clearLabel}` : clearLabel,
+            combo > 0 ? `${combo} COMBO` : '',
+            perfectClear ? 'PERFECT CLEAR' : ''
+        ]);
+        
+        // Enhanced sound effects based on lines cleared
+        if (linesCleared === 4 || tSpin === 'full') {
+            this.sounds.tetris();
+        } else if (linesCleared >= 2) {
+            // Enhanced line clear for multiple lines
+            this.sounds.lineClear();
+            // Additional celebration for multiple lines
+            setTimeout(() => {
+                this.sounds.highScore(points);
+            }, 300);
+        } else {
+            this.sounds.lineClear();
+        }
+        
+        // High score sound for significant scoring
+        if (points >= 500) {
+            setTimeout(() => {
+                this.sounds.highScore(points);
+            }, 600);
+        }
+        
+        this.needsRedraw = true;
+        this.updateDisplay();
+    }
+    
+    /**
+     * Format milliseconds as m:ss.mmm
+     */
+    formatTime(ms) {
+        const totalMs = Math.max(0, Math.floor(ms));
+        const minutes = Math.floor(totalMs / 60000);
+        const seconds = Math.floor(totalMs / 1000) % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}.${(totalMs % 1000).toString().padStart(3, '0')}`;
+    }
+    
+    /**
+     * Update the mode timer; called every frame while it runs
+     */
+    updateTimer() {
+        if (!TetrisModes.MODES[this.mode].timer) return;
+        
+        // Countdown modes show the time left instead of the time played
+        const { time, timeLimit } = this.engine;
+        const text = this.formatTime(TetrisModes.MODES[this.mode].timer === 'down' ? timeLimit - time : time);
+        const timerElement = document.getElementById('timer');
+        if (timerElement.textContent !== text) {
+            timerElement.textContent = text;
         }
     }
     
+    /**
+     * Level text; master levels run to 999
+     */
+    formatLevel() {
+        return this.engine.level.toString().padStart(this.engine.levelSystem === 'master' ? 3 : 2, '0');
+    }
+    
     /**
      * Update display elements
      */
     updateDisplay() {
-        document.getElementById('score').textContent = this.score.toString().padStart(6, '0');
-        document.getElementById('level').textContent = this.level.toString().padStart(2, '0');
-        document.getElementById('lines').textContent = this.lines.toString().padStart(3, '0');
+        document.getElementById('score').textContent = this.engine.score.toString().padStart(6, '0');
+        document.getElementById('level').textContent = this.formatLevel();
+        
+        // Goal modes count down the lines or garbage still to clear
+        if (this.engine.garbageRows) {
+            document.getElementById('linesLabel').textContent = 'GARBAGE';
+            document.getElementById('lines').textContent = this.engine.garbageRemaining.toString().padStart(3, '0');
+        } else if (this.engine.lineGoal) {
+            document.getElementById('linesLabel').textContent = 'LEFT';
+            document.getElementById('lines').textContent = Math.max(0, this.engine.lineGoal - this.engine.lines).toString().padStart(3, '0');
+        } else {
+            document.getElementById('linesLabel').textContent = 'LINES';
+            document.getElementById('lines').textContent = this.engine.lines.toString().padStart(3, '0');
+        }
+        
+        document.getElementById('combo').textContent = Math.max(0, this.engine.combo).toString().padStart(2, '0');
+        document.getElementById('backToBack').textContent = Math.max(0, this.engine.backToBack).toString().padStart(2, '0');
         document.getElementById('highScore').textContent = this.highScore.toString().padStart(6, '0');
         
+        document.getElementById('timerItem').style.display = TetrisModes.MODES[this.mode].timer ? '' : 'none';
+        this.updateTimer();
+        
         // Update game status
         const statusElement = document.getElementById('gameStatus');
-        if (this.gamePaused) {
+        if (this.replayPlayer) {
+            statusElement.textContent = 'REPLAY';
+        } else if (this.gamePaused) {
             statusElement.textContent = 'PAUSED';
         } else if (this.gameRunning) {
             statusElement.textContent = 'PLAYING';
         } else {
             statusElement.textContent = 'READY';
         }
+        this.updatePauseMessage();
+    }
+    
+    /**
+     * Show PAUSED over a paused game, or the seconds left before it resumes
+     */
+    updatePauseMessage() {
+        const message = document.getElementById('pauseMessage');
+        message.classList.toggle('hidden', !(this.gameRunning && this.gamePaused && !this.replayPlayer));
+        message.classList.toggle('countdown', Boolean(this.resumeCountdown));
+        message.textContent = this.resumeCountdown ? this.resumeCountdown.remaining : 'PAUSED';
     }
     
     /**
@@ -4841,12 +5139,12 @@ class TetrisGame {
         this.drawBoard();
         
         // Draw ghost piece (only if current piece exists)
-        if (this.currentPiece) {
+        if (this.engine.currentPiece) {
             this.drawGhostPiece();
         }
         
         // Draw current piece (only if exists)
-        if (this.currentPiece) {
+        if (this.engine.currentPiece) {
             this.drawCurrentPiece();
         }
         
@@ -4858,30 +5156,46 @@ class TetrisGame {
      * Optimized board drawing
      */
     drawBoard() {
-        // Batch similar operations
-        for (let y = 0; y < this.BOARD_HEIGHT; y++) {
-            for (let x = 0; x < this.BOARD_WIDTH; x++) {
-                if (this.board[y][x] !== 0) {
-                    this.drawBlock(x, y, this.board[y][x]);
+        // Batch similar operations; rows in the hidden buffer are skipped
+        for (let y = this.engine.BUFFER_HEIGHT; y < this.engine.BOARD_HEIGHT; y++) {
+            for (let x = 0; x < this.engine.BOARD_WIDTH; x++) {
+                if (this.engine.board[y][x] !== 0) {
+                    const alpha = this.getCellAlpha(x, y);
+                    if (alpha <= 0) continue;
+                    
+                    this.ctx.globalAlpha = alpha;
+                    this.drawBlock(x, y, this.engine.board[y][x]);
+                    this.ctx.globalAlpha = 1;
                 }
             }
         }
     }
     
+    /**
+     * Opacity of a locked cell: invisible mode fades cells out once they
+     * have been locked for the fade delay, except while the stack is revealed
+     */
+    getCellAlpha(x, y) {
+        if (this.fadeDelay === null || this.revealAll || this.engine.elapsed < this.revealUntil) {
+            return 1;
+        }
+        if (this.fadeDelay === 0) {
+            return 0;
+        }
+        
+        const age = this.engine.elapsed - this.engine.lockTimes[y][x];
+        return Math.min(1, Math.max(0, 1 - (age - this.fadeDelay) / this.STACK_FADE_MS));
+    }
+    
     /**
      * Optimized ghost piece drawing
      */
     drawGhostPiece() {
-            const ghostY = this.getGhostPieceY();
-        const shape = this.currentPiece.shape;
-        const pieceX = this.currentPiece.x;
+        const piece = this.engine.currentPiece;
+        const dropDistance = this.engine.getGhostPieceY() - piece.y;
         
-        for (let y = 0; y < shape.length; y++) {
-            for (let x = 0; x < shape[y].length; x++) {
-                if (shape[y][x]) {
-                    this.drawGhostBlock(pieceX + x, ghostY + y);
-                }
-            }
+        for (const { x, y } of this.engine.getPieceCells(piece, 0, dropDistance)) {
+            this.drawGhostBlock(x, y);
         }
     }
     
@@ -4889,29 +5203,32 @@ class TetrisGame {
      * Optimized current piece drawing
      */
     drawCurrentPiece() {
-        const shape = this.currentPiece.shape;
-        const pieceX = this.currentPiece.x;
-        const pieceY = this.currentPiece.y;
-        const color = this.currentPiece.color;
+        const piece = this.engine.currentPiece;
         
-        for (let y = 0; y < shape.length; y++) {
-            for (let x = 0; x < shape[y].length; x++) {
-                if (shape[y][x]) {
-                    this.drawBlock(pieceX + x, pieceY + y, color);
-                }
-            }
+        for (const { x, y } of this.engine.getPieceCells(piece)) {
+            this.drawBlock(x, y, piece.color);
         }
     }
     
     /**
-     * Draw a game block
+     * Draw a game block at board coordinates (buffer rows land above the canvas)
      */
     drawBlock(x, y, color) {
         const pixelX = x * this.BLOCK_SIZE;
-        const pixelY = y * this.BLOCK_SIZE;
+        const pixelY = (y - this.engine.BUFFER_HEIGHT) * this.BLOCK_SIZE;
         
         this.ctx.imageSmoothingEnabled = false;
         
+        // Garbage is flat grey so it stands apart from placed pieces
+        if (color === TetrisEngine.GARBAGE) {
+            this.ctx.fillStyle = '#555555';
+            this.ctx.fillRect(pixelX, pixelY, this.BLOCK_SIZE, this.BLOCK_SIZE);
+            this.ctx.strokeStyle = '#888888';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(pixelX, pixelY, this.BLOCK_SIZE, this.BLOCK_SIZE);
+            return;
+        }
+        
         // Draw main block with color
         this.ctx.fillStyle = color;
         this.ctx.fillRect(pixelX, pixelY, this.BLOCK_SIZE, this.BLOCK_SIZE);
@@ -4943,7 +5260,7 @@ class TetrisGame {
      */
     drawGhostBlock(x, y) {
         const pixelX = x * this.BLOCK_SIZE;
-        const pixelY = y * this.BLOCK_SIZE;
+        const pixelY = (y - this.engine.BUFFER_HEIGHT) * this.BLOCK_SIZE;
         
         this.ctx.imageSmoothingEnabled = false;
         
@@ -4959,19 +5276,6 @@ class TetrisGame {
         this.ctx.fillRect(pixelX + 2, pixelY + 2, this.BLOCK_SIZE - 4, this.BLOCK_SIZE - 4);
     }
     
-    /**
-     * Get ghost piece Y position
-     */
-    getGhostPieceY() {
-        if (!this.currentPiece) return 0;
-        
-        let ghostY = this.currentPiece.y;
-        while (!this.checkCollision(this.currentPiece, 0, ghostY - this.currentPiece.y + 1)) {
-            ghostY++;
-        }
-        return ghostY;
-    }
-    
     /**
      * Draw game grid
      */
@@ -4981,56 +5285,61 @@ class TetrisGame {
         this.ctx.lineWidth = 1;
         
         // Vertical lines
-        for (let x = 0; x <= this.BOARD_WIDTH; x++) {
+        for (let x = 0; x <= this.engine.BOARD_WIDTH; x++) {
             this.ctx.beginPath();
             this.ctx.moveTo(x * this.BLOCK_SIZE, 0);
-            this.ctx.lineTo(x * this.BLOCK_SIZE, this.BOARD_HEIGHT * this.BLOCK_SIZE);
+            this.ctx.lineTo(x * this.BLOCK_SIZE, this.engine.VISIBLE_HEIGHT * this.BLOCK_SIZE);
             this.ctx.stroke();
         }
         
         // Horizontal lines
-        for (let y = 0; y <= this.BOARD_HEIGHT; y++) {
+        for (let y = 0; y <= this.engine.VISIBLE_HEIGHT; y++) {
             this.ctx.beginPath();
             this.ctx.moveTo(0, y * this.BLOCK_SIZE);
-            this.ctx.lineTo(this.BOARD_WIDTH * this.BLOCK_SIZE, y * this.BLOCK_SIZE);
+            this.ctx.lineTo(this.engine.BOARD_WIDTH * this.BLOCK_SIZE, y * this.BLOCK_SIZE);
             this.ctx.stroke();
         }
     }
     
     /**
-     * Draw next piece
+     * Draw the next queue as a vertical column, soonest piece on top
      */
-    drawNextPiece() {
-        if (!this.nextCtx || !this.nextCanvas || !this.nextPiece) return;
+    drawNextQueue() {
+        const queue = this.engine.nextQueue;
+        if (!this.nextCtx || !this.nextCanvas) return;
         
         this.nextCtx.imageSmoothingEnabled = false;
         this.nextCtx.fillStyle = '#000000';
         this.nextCtx.fillRect(0, 0, this.nextCanvas.width, this.nextCanvas.height);
         
-        const canvasSize = Math.min(this.nextCanvas.width, this.nextCanvas.height);
-        const blockSize = Math.max(canvasSize / 4, 8);
-        const offsetX = (this.nextCanvas.width - this.nextPiece.shape[0].length * blockSize) / 2;
-        const offsetY = (this.nextCanvas.height - this.nextPiece.shape.length * blockSize) / 2;
+        const slotHeight = this.nextCanvas.height / this.engine.previewCount;
+        const blockSize = Math.max(this.nextCanvas.width / this.pieceExtent.cells, 4);
         
-        for (let y = 0; y < this.nextPiece.shape.length; y++) {
-            for (let x = 0; x < this.nextPiece.shape[y].length; x++) {
-                if (this.nextPiece.shape[y][x]) {
-                    const pixelX = Math.floor(offsetX + x * blockSize);
-                    const pixelY = Math.floor(offsetY + y * blockSize);
-                    const blockWidth = Math.max(blockSize - 2, 2);
-                    const blockHeight = Math.max(blockSize - 2, 2);
-                    
-                    // Draw main block
-                    this.nextCtx.fillStyle = this.nextPiece.color;
-                    this.nextCtx.fillRect(pixelX, pixelY, blockWidth, blockHeight);
-                    
-                    // Draw border
-                    this.nextCtx.strokeStyle = '#ffffff';
-                    this.nextCtx.lineWidth = 1;
-                    this.nextCtx.strokeRect(pixelX, pixelY, blockWidth, blockHeight);
+        queue.slice(0, this.engine.previewCount).forEach((piece, index) => {
+            const shape = this.getPreviewShape(piece.shape);
+            const offsetX = (this.nextCanvas.width - shape[0].length * blockSize) / 2;
+            const offsetY = index * slotHeight + (slotHeight - shape.length * blockSize) / 2;
+            
+            for (let y = 0; y < shape.length; y++) {
+                for (let x = 0; x < shape[y].length; x++) {
+                    if (shape[y][x]) {
+                        const pixelX = Math.floor(offsetX + x * blockSize);
+                        const pixelY = Math.floor(offsetY + y * blockSize);
+                        const blockWidth = Math.max(blockSize - 2, 2);
+                        const blockHeight = Math.max(blockSize - 2, 2);
+                        
+                        // Draw main block
+                        this.nextCtx.fillStyle = piece.color;
+                        this.nextCtx.fillRect(pixelX, pixelY, blockWidth, blockHeight);
+                        
+                        // Draw border
+                        this.nextCtx.strokeStyle = '#ffffff';
+                        this.nextCtx.lineWidth = 1;
+                        this.nextCtx.strokeRect(pixelX, pixelY, blockWidth, blockHeight);
+                    }
                 }
             }
-        }
+        });
     }
     
     /**
@@ -5043,23 +5352,25 @@ class TetrisGame {
         this.holdCtx.fillStyle = '#000000';
         this.holdCtx.fillRect(0, 0, this.holdCanvas.width, this.holdCanvas.height);
         
-        if (!this.holdPiece) return;
+        const holdPiece = this.engine.holdPiece;
+        if (!holdPiece) return;
         
+        const shape = this.getPreviewShape(holdPiece.shape);
         const canvasSize = Math.min(this.holdCanvas.width, this.holdCanvas.height);
-        const blockSize = Math.max(canvasSize / 4, 8);
-        const offsetX = (this.holdCanvas.width - this.holdPiece.shape[0].length * blockSize) / 2;
-        const offsetY = (this.holdCanvas.height - this.holdPiece.shape.length * blockSize) / 2;
+        const blockSize = Math.max(canvasSize / this.pieceExtent.cells, 4);
+        const offsetX = (this.holdCanvas.width - shape[0].length * blockSize) / 2;
+        const offsetY = (this.holdCanvas.height - shape.length * blockSize) / 2;
         
-        for (let y = 0; y < this.holdPiece.shape.length; y++) {
-            for (let x = 0; x < this.holdPiece.shape[y].length; x++) {
-                if (this.holdPiece.shape[y][x]) {
+        for (let y = 0; y < shape.length; y++) {
+            for (let x = 0; x < shape[y].length; x++) {
+                if (shape[y][x]) {
                     const pixelX = Math.floor(offsetX + x * blockSize);
                     const pixelY = Math.floor(offsetY + y * blockSize);
                     const blockWidth = Math.max(blockSize - 2, 2);
                     const blockHeight = Math.max(blockSize - 2, 2);
                     
                     // Draw main block
-                    this.holdCtx.fillStyle = this.holdPiece.color;
+                    this.holdCtx.fillStyle = holdPiece.color;
                     this.holdCtx.fillRect(pixelX, pixelY, blockWidth, blockHeight);
                     
                     // Draw border
@@ -5071,6 +5382,15 @@ class TetrisGame {
         }
     }
     
+    /**
+     * Trim empty rows and columns so previews center on the piece itself
+     */
+    getPreviewShape(shape) {
+        const rows = shape.filter(row => row.some(cell => cell));
+        const cols = shape[0].map((_, x) => x).filter(x => shape.some(row => row[x]));
+        return rows.map(row => cols.map(x => row[x]));
+    }
+    
     /**
      * Game loop (performance optimized)
      */
@@ -5088,10 +5408,21 @@ class TetrisGame {
             this.adjustPerformanceMode();
         }
         
-        // Handle piece dropping
-        if (currentTime - this.dropTime > this.dropInterval) {
-            this.movePiece(0, 1);
-            this.dropTime = currentTime;
+        // Advance the engine in whole frames so replays step identically.
+        // After a long stall, time beyond the catch-up limit is dropped.
+        this.frameTime = Math.min(this.frameTime + currentTime - this.lastFrameTime,
+            this.MAX_CATCH_UP_FRAMES * TetrisReplay.FRAME_MS);
+        this.lastFrameTime = currentTime;
+        while (this.frameTime >= TetrisReplay.FRAME_MS) {
+            this.frameTime -= TetrisReplay.FRAME_MS;
+            this.advanceFrame();
+            if (!this.gameRunning) return;
+        }
+        this.updateTimer();
+        
+        // A fading stack changes every frame
+        if (this.fadeDelay !== null) {
+            this.needsRedraw = true;
         }
         
         // Adaptive drawing throttling based on performance
@@ -5115,6 +5446,16 @@ class TetrisGame {
         this.gameLoopId = requestAnimationFrame(() => this.gameLoop());
     }
     
+    /**
+     * Step the engine by one frame with the handling model's actions,
+     * recording them for the replay
+     */
+    advanceFrame() {
+        const actions = this.input.update(TetrisReplay.FRAME_MS, this.engine);
+        this.recorder.record(actions);
+        this.engine.step(actions, TetrisReplay.FRAME_MS);
+    }
+    
     /**
      * Adjust performance mode based on FPS
      */
@@ -5156,13 +5497,16 @@ class TetrisGame {
     startGame() {
         this.gameRunning = true;
         this.gamePaused = false;
-        this.dropTime = Date.now();
+        this.lastFrameTime = Date.now();
         this.sounds.startMetronome();
+        if (this.ambientMusic) {
+            this.sounds.startAmbient();
+        }
         
         // Background track removed for performance
         
         // Spawn the first piece
-        this.spawnPiece();
+        this.engine.start();
         
         this.gameLoop();
     }
@@ -5172,11 +5516,14 @@ class TetrisGame {
      */
     pauseGame() {
         this.gamePaused = true;
+        this.cancelResumeCountdown();
         this.sounds.stopMetronome();
+        this.sounds.stopAmbient();
         if (this.gameLoopId) {
             cancelAnimationFrame(this.gameLoopId);
             this.gameLoopId = null;
         }
+        this.saveGame();
     }
     
     /**
@@ -5184,16 +5531,25 @@ class TetrisGame {
      */
     resumeGame() {
         this.gamePaused = false;
-        this.dropTime = Date.now();
+        this.lastFrameTime = Date.now();
+        this.frameTime = 0;
         this.sounds.startMetronome();
+        if (this.ambientMusic) {
+            this.sounds.startAmbient();
+        }
         this.gameLoop();
     }
     
     /**
-     * Toggle pause
+     * Toggle pause. A game in progress resumes after a countdown, and
+     * pausing during the countdown stays paused.
      */
     togglePause() {
-        if (this.gamePaused) {
+        if (this.resumeCountdown) {
+            this.cancelResumeCountdown();
+        } else if (this.gamePaused && this.gameRunning) {
+            this.startResumeCountdown();
+        } else if (this.gamePaused) {
             this.resumeGame();
         } else {
             this.pauseGame();
@@ -5201,49 +5557,121 @@ class TetrisGame {
         this.updateDisplay();
     }
     
+    /**
+     * Count down over the board, then resume, so gravity never restarts
+     * before the player is ready
+     */
+    startResumeCountdown() {
+        let remaining = this.RESUME_COUNTDOWN;
+        this.resumeCountdown = { remaining, timer: null };
+        this.sounds.button();
+        
+        this.resumeCountdown.timer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.resumeCountdown.remaining = remaining;
+                this.sounds.button();
+                this.updatePauseMessage();
+                return;
+            }
+            this.cancelResumeCountdown();
+            this.resumeGame();
+            this.updateDisplay();
+        }, 1000);
+        this.updatePauseMessage();
+    }
+    
+    cancelResumeCountdown() {
+        if (!this.resumeCountdown) return;
+        clearInterval(this.resumeCountdown.timer);
+        this.resumeCountdown = null;
+    }
+    
+    /**
+     * Pause when the player leaves the tab or window, and suspend the audio
+     * so nothing keeps playing or scheduling in the background
+     */
+    autoPause() {
+        if (this.gameRunning) {
+            this.pauseGame();
+            this.updateDisplay();
+        }
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+    
+    /**
+     * Bring the audio back when the player returns; the game stays paused
+     */
+    resumeAudio() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+    
     /**
      * Reset game
      */
     resetGame() {
+        this.recordEndlessSession();
+        this.saveReplay();
+        this.cancelResumeCountdown();
         this.gameRunning = false;
         this.gamePaused = false;
         this.sounds.stopMetronome();
+        this.sounds.stopAmbient();
         if (this.gameLoopId) {
             cancelAnimationFrame(this.gameLoopId);
             this.gameLoopId = null;
         }
         
-        // Clear the board
-        this.board = Array(this.BOARD_HEIGHT).fill().map(() => Array(this.BOARD_WIDTH).fill(0));
+        // A new game replaces any saved one
+        this.clearSavedGame();
         
-        // Reset all game state
-        this.currentPiece = null;
-        this.nextPiece = null;
-        this.holdPiece = null;
-        this.canHold = true;
-        this.score = 0;
-        this.level = 1;
-        this.lines = 0;
-        this.dropInterval = 1000;
-        this.dropTime = Date.now();
-        this.lastMoveTime = 0;
+        // Reset all game state; the board size can change between games
+        this.createEngine();
+        this.resizeCanvas();
         
-        // Generate new pieces
-        this.nextPiece = this.getRandomPiece();
+        // Spawn the first piece and start the game so pieces fall
+        this.startGame();
         
-        // Spawn the first piece immediately
-        this.spawnPiece();
+        // Update displays
+        this.updateDisplay();
+        this.draw();
+        this.drawNextQueue();
+        this.drawHoldPiece();
+    }
+    
+    /**
+     * Pick a saved game back up exactly where it was left, paused until the
+     * player resumes. A save that no longer loads starts a new game instead.
+     */
+    resumeSavedGame(saved) {
+        this.recordEndlessSession();
+        this.saveReplay();
+        this.gameRunning = false;
+        this.sounds.stopMetronome();
+        this.sounds.stopAmbient();
+        if (this.gameLoopId) {
+            cancelAnimationFrame(this.gameLoopId);
+            this.gameLoopId = null;
+        }
         
-        // Start the game so pieces fall
-        this.gameRunning = true;
-        this.gamePaused = false;
-        this.sounds.startMetronome();
-        this.gameLoop();
+        try {
+            this.createEngine(saved);
+        } catch (error) {
+            console.warn('Could not resume saved game:', error);
+            this.resetGame();
+            return;
+        }
+        this.resizeCanvas();
         
-        // Update displays
+        this.gameRunning = true;
+        this.pauseGame();
         this.updateDisplay();
         this.draw();
-        this.drawNextPiece();
+        this.drawNextQueue();
         this.drawHoldPiece();
     }
     
@@ -5254,6 +5682,7 @@ class TetrisGame {
         this.gameRunning = false;
         this.gamePaused = false;
         this.sounds.stopMetronome();
+        this.sounds.stopAmbient();
         if (this.gameLoopId) {
             cancelAnimationFrame(this.gameLoopId);
             this.gameLoopId = null;
@@ -5261,13 +5690,28 @@ class TetrisGame {
         
         // Background track removed for performance
         
-        // Check for high score
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
+        this.updateTimer();
+        this.saveReplay();
+        this.clearSavedGame();
+        
+        // Show the whole stack again, including any faded cells
+        this.revealAll = true;
+        this.draw();
+        
+        // Modes with their own records keep a personal best instead of the high score
+        const highScoreElement = document.getElementById('finalHighScore');
+        if (TetrisModes.MODES[this.mode].record) {
+            const recordable = this.engine.finished || TetrisModes.MODES[this.mode].recordsTopOut;
+            const isNewBest = recordable && this.savePersonalBest();
+            document.getElementById('finalHighScoreLabel').textContent = 'NEW PERSONAL BEST!';
+            highScoreElement.style.display = isNewBest ? 'block' : 'none';
+        } else if (this.engine.score > this.highScore) {
+            this.highScore = this.engine.score;
             this.saveHighScore();
-            document.getElementById('finalHighScore').style.display = 'block';
+            document.getElementById('finalHighScoreLabel').textContent = 'NEW HIGH SCORE!';
+            highScoreElement.style.display = 'block';
         } else {
-            document.getElementById('finalHighScore').style.display = 'none';
+            highScoreElement.style.display = 'none';
         }
         
         this.sounds.gameOver();
@@ -5282,24 +5726,127 @@ class TetrisGame {
      */
     showGameOverScreen() {
         this.sounds.gameOver();
+        this.showReplayStatus('replayExportStatus');
         this.gameScreen.classList.add('hidden');
+        
+        // Games ended before any piece locked leave no replay to offer
+        for (const id of ['watchReplayBtn', 'exportReplayBtn', 'copyReplayLinkBtn']) {
+            document.getElementById(id).classList.toggle('hidden', !this.gameReplay);
+        }
         this.gameOverScreen.classList.remove('hidden');
         
-        document.getElementById('finalScore').textContent = this.score.toString().padStart(6, '0');
-        document.getElementById('finalLevel').textContent = this.level.toString().padStart(2, '0');
-        document.getElementById('finalLines').textContent = this.lines.toString().padStart(3, '0');
+        document.getElementById('finalScore').textContent = this.engine.score.toString().padStart(6, '0');
+        document.getElementById('finalLevel').textContent = this.formatLevel();
+        document.getElementById('finalLines').textContent = this.engine.lines.toString().padStart(3, '0');
+        document.getElementById('finalSeed').textContent = this.engine.seed;
+        document.getElementById('gameOverTitle').textContent = this.engine.finished ? 'FINISHED' : 'GAME OVER';
+        
+        // Timed modes report speed and efficiency
+        const mode = TetrisModes.MODES[this.mode];
+        const stats = this.getGameStats();
+        document.querySelectorAll('.final-timed').forEach(row => {
+            row.style.display = mode.timer ? '' : 'none';
+        });
+        document.getElementById('finalTime').textContent = this.formatTime(stats.time);
+        document.getElementById('finalPps').textContent = stats.pps.toFixed(2);
+        document.getElementById('finalKpp').textContent = stats.kpp.toFixed(2);
+        
+        // Time-limited modes rate scoring speed
+        document.getElementById('finalSpmRow').style.display = this.engine.timeLimit ? '' : 'none';
+        document.getElementById('finalSpm').textContent = Math.round(stats.spm).toString();
+        
+        // Master grades the run and lists how long each section took
+        const isMaster = this.engine.levelSystem === 'master';
+        document.getElementById('finalGradeRow').style.display = isMaster ? '' : 'none';
+        document.getElementById('finalSections').style.display = isMaster ? '' : 'none';
+        if (isMaster) {
+            document.getElementById('finalGrade').textContent = stats.grade;
+            this.showSectionTimes();
+        }
+        
+        const best = this.personalBests[this.recordKey];
+        document.getElementById('finalBestRow').style.display = mode.record && best ? '' : 'none';
+        if (best) {
+            document.getElementById('finalBest').textContent = this.formatRecord(mode.record, best);
+        }
     }
     
-    // UI Management Methods
-    showMainMenu() {
-        this.sounds.button();
-        this.mainMenu.classList.remove('hidden');
-        this.instructionsScreen.classList.add('hidden');
-        this.gameScreen.classList.add('hidden');
-        this.gameOverScreen.classList.add('hidden');
-        this.pauseGame();
-        
-        // Background track removed for performance
+    /**
+     * Personal best text for the game over screen
+     */
+    formatRecord(record, best) {
+        if (record === 'time') {
+            return this.formatTime(best.time);
+        }
+        if (record === 'grade') {
+            return `${best.grade} ${this.formatTime(best.time)}`;
+        }
+        return best.score.toString().padStart(6, '0');
+    }
+    
+    /**
+     * List master section times, including the section in progress at a top-out
+     */
+    showSectionTimes() {
+        const container = document.getElementById('finalSections');
+        container.innerHTML = '';
+        
+        const { sectionTimes, time, sectionStart, finished } = this.engine;
+        const times = finished ? sectionTimes : [...sectionTimes, time - sectionStart];
+        const sectionLevels = TetrisEngine.MASTER_SECTION_LEVELS;
+        
+        times.forEach((sectionTime, index) => {
+            const from = index * sectionLevels;
+            const to = Math.min(from + sectionLevels - 1, TetrisEngine.MASTER_MAX_LEVEL);
+            const row = document.createElement('div');
+            row.className = 'final-stat';
+            
+            const label = document.createElement('span');
+            label.className = 'stat-label';
+            label.textContent = `${from.toString().padStart(3, '0')}-${to.toString().padStart(3, '0')}`;
+            
+            const value = document.createElement('span');
+            value.className = 'stat-value';
+            value.textContent = this.formatTime(sectionTime);
+            
+            row.append(label, value);
+            container.appendChild(row);
+        });
+    }
+    
+    /**
+     * Summary of the current game: time, pieces per second, keys per piece
+     * and score per minute
+     */
+    getGameStats() {
+        const { time, piecesPlaced, lines, score } = this.engine;
+        return {
+            time,
+            score,
+            lines,
+            pieces: piecesPlaced,
+            pps: time > 0 ? piecesPlaced / (time / 1000) : 0,
+            kpp: piecesPlaced > 0 ? this.input.presses / piecesPlaced : 0,
+            spm: time > 0 ? score / (time / 60000) : 0,
+            grade: this.engine.levelSystem === 'master' ? TetrisModes.getMasterGrade(this.engine) : undefined
+        };
+    }
+    
+    // UI Management Methods
+    showMainMenu() {
+        this.recordEndlessSession();
+        this.saveReplay();
+        this.sounds.button();
+        this.mainMenu.classList.remove('hidden');
+        this.instructionsScreen.classList.add('hidden');
+        this.controlsScreen.classList.add('hidden');
+        this.replaysScreen.classList.add('hidden');
+        this.gameScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.pauseGame();
+        this.updateContinueButton();
+        
+        // Background track removed for performance
     }
     
     showInstructionsScreen() {
@@ -5310,11 +5857,34 @@ class TetrisGame {
         this.gameOverScreen.classList.add('hidden');
     }
     
-    showGameScreen() {
+    showControlsScreen() {
+        this.capturingAction = null;
+        this.renderBindingList();
+        this.mainMenu.classList.add('hidden');
+        this.controlsScreen.classList.remove('hidden');
+    }
+    
+    showReplaysScreen(importError = null) {
+        this.sounds.button();
+        this.renderReplayList();
+        this.showReplayStatus('replayImportStatus', importError, Boolean(importError));
+        this.mainMenu.classList.add('hidden');
+        this.replaysScreen.classList.remove('hidden');
+        this.gameScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+    }
+    
+    /**
+     * Show the game screen and start a new game, or resume a saved one
+     *
+     * @param {Object} [saved] - From loadSavedGame()
+     */
+    showGameScreen(saved = null) {
         this.sounds.button();
         this.mainMenu.classList.add('hidden');
         this.instructionsScreen.classList.add('hidden');
         this.gameScreen.classList.remove('hidden');
+        this.gameScreen.classList.remove('replay-mode');
         this.gameOverScreen.classList.add('hidden');
         
         // Background track system removed for performance
@@ -5324,13 +5894,504 @@ class TetrisGame {
             this.resizeCanvas();
             this.canvas.focus();
             
-            this.resetGame();
-            this.generateNextPiece();
-            this.spawnPiece();
-            this.startGame();
+            if (saved) {
+                this.resumeSavedGame(saved);
+            } else {
+                this.resetGame();
+            }
         }, 100);
     }
     
+    // Key bindings
+    
+    /**
+     * Wire up the controls screen's reset and back buttons
+     */
+    setupControlsScreen() {
+        document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.sounds.button();
+            this.capturingAction = null;
+            this.setKeyBindings(TetrisKeybindings.normalizeBindings(null));
+        });
+        
+        document.getElementById('backFromControlsBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.capturingAction = null;
+            this.showMainMenu();
+        });
+    }
+    
+    /**
+     * List every action with its keys. Clicking a key removes it (each
+     * action keeps at least one); + waits for a key to add. Keys bound to
+     * more than one action are marked, with a warning below the list.
+     */
+    renderBindingList() {
+        const list = document.getElementById('bindingList');
+        list.textContent = '';
+        
+        const conflicts = TetrisKeybindings.findConflicts(this.keyBindings);
+        const conflicted = new Set(conflicts.map(({ key }) => key));
+        
+        for (const { action, label } of TetrisKeybindings.ACTIONS) {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            
+            const name = document.createElement('span');
+            name.className = 'action';
+            name.textContent = label;
+            row.appendChild(name);
+            
+            const keys = document.createElement('div');
+            keys.className = 'binding-keys';
+            const bound = this.keyBindings[action];
+            for (const key of bound) {
+                const button = document.createElement('button');
+                button.className = conflicted.has(key) ? 'key conflict' : 'key';
+                button.textContent = TetrisKeybindings.formatKey(key);
+                button.title = bound.length > 1 ? 'Remove' : 'Every action needs a key';
+                button.disabled = bound.length === 1;
+                button.addEventListener('click', () => {
+                    this.sounds.button();
+                    this.setKeyBindings({ ...this.keyBindings, [action]: bound.filter(other => other !== key) });
+                });
+                keys.appendChild(button);
+            }
+            
+            const add = document.createElement('button');
+            add.className = this.capturingAction === action ? 'key capturing' : 'key';
+            add.textContent = this.capturingAction === action ? 'PRESS A KEY' : '+';
+            add.addEventListener('click', () => {
+                this.sounds.button();
+                this.capturingAction = action;
+                // Keep Space or Enter from pressing the button instead of binding
+                add.blur();
+                this.renderBindingList();
+            });
+            keys.appendChild(add);
+            
+            row.appendChild(keys);
+            list.appendChild(row);
+        }
+        
+        const status = document.getElementById('bindingStatus');
+        status.classList.toggle('error', conflicts.length > 0);
+        status.textContent = conflicts.map(({ key, actions }) => {
+            const labels = actions.map(TetrisKeybindings.getActionLabel);
+            return `${TetrisKeybindings.formatKey(key)} IS BOUND TO ${labels.join(' AND ')}; IT ONLY DOES ${labels[0]}`;
+        }).join('. ');
+    }
+    
+    /**
+     * Bind the key just pressed to the action waiting for one. Escape
+     * cancels instead.
+     */
+    captureBinding(code) {
+        const action = this.capturingAction;
+        this.capturingAction = null;
+        if (code === 'Escape' || this.keyBindings[action].includes(code)) {
+            this.renderBindingList();
+            return;
+        }
+        this.sounds.button();
+        this.setKeyBindings({ ...this.keyBindings, [action]: [...this.keyBindings[action], code] });
+    }
+    
+    /**
+     * Use, store and show a new set of key bindings
+     */
+    setKeyBindings(bindings) {
+        this.keyBindings = bindings;
+        this.keyMap = TetrisKeybindings.createKeyMap(bindings);
+        this.saveKeyBindings();
+        this.renderBindingList();
+        this.renderBindingLabels();
+    }
+    
+    /**
+     * Show the active keys wherever the page lists controls
+     */
+    renderBindingLabels() {
+        for (const element of document.querySelectorAll('[data-binding]')) {
+            element.textContent = TetrisKeybindings.formatBindings(this.keyBindings, element.dataset.binding.split(' '));
+        }
+    }
+    
+    // Replays
+    
+    /**
+     * List the stored replays with a button to watch each one
+     */
+    renderReplayList() {
+        const list = document.getElementById('replayList');
+        list.textContent = '';
+        
+        if (this.replays.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'replay-empty';
+            empty.textContent = 'NO REPLAYS YET. FINISH A GAME TO RECORD ONE.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        for (const replay of this.replays) {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            
+            const info = document.createElement('span');
+            info.className = 'replay-info';
+            const mode = TetrisModes.MODES[replay.settings.mode];
+            const date = new Date(replay.date).toLocaleString();
+            info.textContent = `${mode ? mode.label : replay.settings.mode} · ${replay.result.score.toString().padStart(6, '0')} · ` +
+                `${this.formatTime(replay.frames * TetrisReplay.FRAME_MS)} · ${date}`;
+            item.appendChild(info);
+            
+            const watch = document.createElement('button');
+            watch.className = 'game-btn';
+            watch.textContent = 'WATCH';
+            watch.addEventListener('click', () => this.watchReplay(replay));
+            item.appendChild(watch);
+            
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Wire up the replay viewer's play/pause, speed, seek and frame step controls
+     */
+    setupReplayControls() {
+        const speedSelect = document.getElementById('replaySpeedSelect');
+        for (const speed of this.REPLAY_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = speed + 'X';
+            speedSelect.appendChild(option);
+        }
+        speedSelect.value = 1;
+        speedSelect.addEventListener('change', () => {
+            this.replaySpeed = parseFloat(speedSelect.value);
+        });
+        
+        document.getElementById('replayPlayBtn').addEventListener('click', () => {
+            // Playing from the end starts over
+            if (!this.replayPlaying && this.replayPlayer.isAtEnd()) {
+                this.seekReplay(0);
+            }
+            this.replayPlaying = !this.replayPlaying;
+            this.renderReplayFrame();
+        });
+        
+        document.getElementById('replayStepBackBtn').addEventListener('click', () => {
+            this.replayPlaying = false;
+            this.seekReplay(this.replayPlayer.frame - 1);
+        });
+        
+        document.getElementById('replayStepBtn').addEventListener('click', () => {
+            this.replayPlaying = false;
+            this.replaySeekTarget = null;
+            this.replayPlayer.stepFrame();
+            this.renderReplayFrame();
+        });
+        
+        document.getElementById('replaySeek').addEventListener('input', (e) => {
+            this.seekReplay(parseInt(e.target.value));
+        });
+        
+        document.getElementById('replayExitBtn').addEventListener('click', () => {
+            this.initAudioContext();
+            this.exitReplay();
+        });
+    }
+    
+    /**
+     * Import replays dropped on the replays screen or pasted as a link
+     */
+    setupReplayImport() {
+        const dropZone = document.getElementById('replayDropZone');
+        const linkInput = document.getElementById('replayLinkInput');
+        
+        const importLink = () => {
+            this.initAudioContext();
+            if (linkInput.value.trim()) {
+                this.importReplay(linkInput.value);
+            }
+        };
+        document.getElementById('importReplayBtn').addEventListener('click', importLink);
+        linkInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') importLink();
+        });
+        
+        // Files can be dropped anywhere on the screen; the zone lights up
+        this.replaysScreen.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        this.replaysScreen.addEventListener('dragleave', (e) => {
+            if (!this.replaysScreen.contains(e.relatedTarget)) {
+                dropZone.classList.remove('drag-over');
+            }
+        });
+        this.replaysScreen.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.initAudioContext();
+            
+            const file = e.dataTransfer.files[0];
+            let text;
+            try {
+                text = file ? await file.text() : e.dataTransfer.getData('text/plain');
+            } catch (error) {
+                this.showReplayStatus('replayImportStatus', `${file.name}: ${error.message}`, true);
+                return;
+            }
+            this.importReplay(text, file ? file.name : null);
+        });
+    }
+    
+    /**
+     * Import a replay from a file, link or code, showing any error on the
+     * replays screen
+     *
+     * @param {string} text
+     * @param {string} [source] - File name to prefix errors with
+     */
+    async importReplay(text, source = null) {
+        let replay;
+        try {
+            replay = await this.readReplay(text);
+        } catch (error) {
+            this.showReplayStatus('replayImportStatus', source ? `${source}: ${error.message}` : error.message, true);
+            return;
+        }
+        document.getElementById('replayLinkInput').value = '';
+        this.openImportedReplay(replay);
+    }
+    
+    /**
+     * Read and check an exported replay, ready to store and watch
+     *
+     * @throws {Error} Explaining why the replay cannot be played here
+     */
+    async readReplay(text) {
+        const replay = await TetrisReplay.importReplay(text);
+        replay.settings = this.getReplaySettings(replay);
+        replay.id = typeof replay.id === 'string' ? replay.id : `${Date.now().toString(36)}-${replay.seed}`;
+        replay.date = typeof replay.date === 'number' ? replay.date : Date.now();
+        return replay;
+    }
+    
+    /**
+     * Keep an imported replay with the stored ones and start watching it
+     */
+    openImportedReplay(replay) {
+        this.storeReplay(replay);
+        this.watchReplay(replay);
+    }
+    
+    /**
+     * An imported replay's settings, filled in for this version of the game
+     *
+     * @throws {Error} If the replay needs a setting this version cannot play
+     */
+    getReplaySettings(replay) {
+        const settings = this.normalizeSettings(replay.settings);
+        
+        // The preset is only a label; its rules are checked on their own
+        const unsupported = Object.keys(replay.settings)
+            .find(key => key !== 'preset' && settings[key] !== replay.settings[key]);
+        if (unsupported) {
+            throw new Error(`Replay setting "${unsupported}" is not supported by this version`);
+        }
+        if (settings.pieceSet === 'custom' && !replay.pieces) {
+            throw new Error('Replay uses custom pieces but does not include them');
+        }
+        const fitError = this.getBoardFitError(settings, this.getReplayPieces({ ...replay, settings }));
+        if (fitError) {
+            throw new Error(fitError);
+        }
+        return settings;
+    }
+    
+    /**
+     * Open the replay in the page's #replay= link, if there is one. The
+     * fragment is removed so reloading does not import it again.
+     */
+    async openReplayLink() {
+        const hash = window.location.hash;
+        if (!hash.startsWith(`#${TetrisReplay.LINK_PARAM}=`)) return;
+        
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        let replay;
+        try {
+            replay = await this.readReplay(hash);
+        } catch (error) {
+            // Leave any game for the replays screen, where imports are made
+            this.showMainMenu();
+            this.showReplaysScreen(error.message);
+            return;
+        }
+        this.openImportedReplay(replay);
+    }
+    
+    /**
+     * Download a replay as a compressed, versioned file
+     */
+    async exportReplay(replay) {
+        try {
+            const packed = await TetrisReplay.packReplay(replay);
+            const blob = new Blob([JSON.stringify(packed)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `tetris-replay-${replay.seed.replace(/[^\w-]/g, '_')}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            this.showReplayStatus('replayExportStatus', 'REPLAY FILE SAVED');
+        } catch (error) {
+            console.warn('Could not export replay:', error);
+            this.showReplayStatus('replayExportStatus', `Could not export replay: ${error.message}`, true);
+        }
+    }
+    
+    /**
+     * Copy a link that opens a replay in the viewer. Where the clipboard is
+     * unavailable the link is shown to copy by hand.
+     */
+    async copyReplayLink(replay) {
+        let link;
+        try {
+            link = TetrisReplay.getReplayLink(await TetrisReplay.packReplay(replay), window.location.href);
+            await navigator.clipboard.writeText(link);
+            this.showReplayStatus('replayExportStatus', 'REPLAY LINK COPIED');
+        } catch (error) {
+            if (!link) {
+                console.warn('Could not export replay:', error);
+                this.showReplayStatus('replayExportStatus', `Could not export replay: ${error.message}`, true);
+                return;
+            }
+            window.prompt('Copy this replay link:', link);
+        }
+    }
+    
+    /**
+     * Show a message under the replay export or import controls
+     */
+    showReplayStatus(id, message = null, isError = false) {
+        const status = document.getElementById(id);
+        status.classList.toggle('error', isError);
+        status.textContent = message || '';
+    }
+    
+    /**
+     * Open a replay in the viewer. Whatever game was left unfinished ends
+     * here, since the viewer takes over the board.
+     */
+    watchReplay(replay) {
+        this.sounds.button();
+        this.recordEndlessSession();
+        this.saveReplay();
+        this.recorder = null;
+        this.pauseGame();
+        this.gameRunning = false;
+        
+        this.setGameView(replay.settings);
+        this.revealAll = true; // Invisible stacks stay visible for review
+        const pieces = this.getReplayPieces(replay);
+        this.replayPlayer = new TetrisReplay.ReplayPlayer(replay,
+            () => new TetrisEngine(this.getEngineOptions(replay.settings, pieces, replay.seed)));
+        this.engine = this.replayPlayer.engine;
+        this.pieceExtent = this.measurePieces(this.engine.pieces);
+        this.replayPlaying = true;
+        this.replaySeekTarget = null;
+        this.replaySpeed = 1;
+        document.getElementById('replaySpeedSelect').value = 1;
+        document.getElementById('replaySeek').max = this.replayPlayer.totalFrames;
+        
+        this.mainMenu.classList.add('hidden');
+        this.controlsScreen.classList.add('hidden');
+        this.replaysScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.gameScreen.classList.remove('hidden');
+        this.gameScreen.classList.add('replay-mode');
+        
+        // Wait for DOM to update, then resize and play
+        setTimeout(() => {
+            if (!this.replayPlayer) return;
+            this.resizeCanvas();
+            this.lastFrameTime = Date.now();
+            this.frameTime = 0;
+            this.replayLoop();
+        }, 100);
+    }
+    
+    /**
+     * Leave the viewer for the replay list, leaving a fresh unstarted game behind
+     */
+    exitReplay() {
+        if (this.gameLoopId) {
+            cancelAnimationFrame(this.gameLoopId);
+            this.gameLoopId = null;
+        }
+        this.replayPlayer = null;
+        this.gameScreen.classList.remove('replay-mode');
+        this.createEngine();
+        this.showReplaysScreen();
+    }
+    
+    /**
+     * Replay loop: step recorded frames at the chosen speed and render
+     */
+    replayLoop() {
+        if (!this.replayPlayer) return;
+        
+        const currentTime = Date.now();
+        if (this.replaySeekTarget !== null) {
+            // Long seeks are played a slice per animation frame
+            this.seekReplay(this.replaySeekTarget);
+        } else if (this.replayPlaying) {
+            this.frameTime = Math.min(this.frameTime + (currentTime - this.lastFrameTime) * this.replaySpeed,
+                this.MAX_CATCH_UP_FRAMES * TetrisReplay.FRAME_MS * this.replaySpeed);
+            while (this.frameTime >= TetrisReplay.FRAME_MS && this.replayPlayer.stepFrame()) {
+                this.frameTime -= TetrisReplay.FRAME_MS;
+            }
+            if (this.replayPlayer.isAtEnd()) {
+                this.replayPlaying = false;
+            }
+        }
+        this.lastFrameTime = currentTime;
+        
+        this.renderReplayFrame();
+        this.gameLoopId = requestAnimationFrame(() => this.replayLoop());
+    }
+    
+    /**
+     * Jump the replay to a frame and show it. A seek too long for one call
+     * is kept as replaySeekTarget and continued by replayLoop().
+     */
+    seekReplay(frame) {
+        this.replaySeekTarget = this.replayPlayer.seek(frame) ? null : frame;
+        this.frameTime = 0;
+        this.renderReplayFrame();
+    }
+    
+    /**
+     * Draw the replay's engine and update the viewer controls
+     */
+    renderReplayFrame() {
+        // Seeking backwards replaces the engine
+        this.engine = this.replayPlayer.engine;
+        this.draw();
+        this.drawNextQueue();
+        this.drawHoldPiece();
+        this.updateDisplay();
+        
+        const { frame, totalFrames } = this.replayPlayer;
+        document.getElementById('replaySeek').value = frame;
+        document.getElementById('replayPlayBtn').textContent = this.replayPlaying ? 'PAUSE' : 'PLAY';
+        document.getElementById('replayTime').textContent =
+            `${this.formatTime(frame * TetrisReplay.FRAME_MS)} / ${this.formatTime(totalFrames * TetrisReplay.FRAME_MS)}`;
+    }
+    
     // Effects
     addScreenShake(intensity) {
         // Prevent excessive screen shake
@@ -5378,8 +6439,8 @@ class TetrisGame {
             particle.className = 'explosion-particle';
             particle.style.left = x + 'px';
             particle.style.top = y + 'px';
-            particle.style.setProperty('--vx', (Math.random() - 0.5) * 150 + 'px');
-            particle.style.setProperty('--vy', (Math.random() - 0.5) * 150 + 'px');
+            particle.style.setProperty('--vx', (this.effectsRng.next() - 0.5) * 150 + 'px');
+            particle.style.setProperty('--vy', (this.effectsRng.next() - 0.5) * 150 + 'px');
             this.explosionContainer.appendChild(particle);
             this.activeExplosions++;
             
@@ -5392,10 +6453,19 @@ class TetrisGame {
         }
     }
     
-    createScorePopup(score, x, y) {
+    createScorePopup(score, x, y, labels = []) {
         const popup = document.createElement('div');
         popup.className = 'score-popup score-popup-bounce';
         popup.textContent = '+' + score;
+        
+        // Optional callouts above the points, e.g. "T-SPIN DOUBLE", "3 COMBO"
+        for (const label of labels.filter(Boolean).reverse()) {
+            const callout = document.createElement('span');
+            callout.className = 'score-popup-label';
+            callout.textContent = label;
+            popup.prepend(callout);
+        }
+        
         popup.style.left = x + 'px';
         popup.style.top = y + 'px';
         this.scorePopupContainer.appendChild(popup);
@@ -5445,6 +6515,301 @@ class TetrisGame {
             console.warn('Could not save high score:', error);
         }
     }
+    
+    // Per-mode personal bests, kept apart from the marathon high score
+    loadPersonalBests() {
+        try {
+            return JSON.parse(localStorage.getItem('tetrisPersonalBests') || '{}');
+        } catch (error) {
+            console.warn('Could not load personal bests:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Endless modes never finish, so a session in progress is recorded when
+     * the player leaves it (main menu, restart or closing the page)
+     */
+    recordEndlessSession() {
+        if (!TetrisModes.MODES[this.mode].endless) return;
+        if (!this.engine.currentPiece || this.engine.isOver || this.engine.score === 0) return;
+        this.savePersonalBest();
+    }
+    
+    /**
+     * Record the finished game if it beats the mode's personal best.
+     * Returns whether it did.
+     */
+    savePersonalBest() {
+        const result = { ...this.getGameStats(), seed: this.engine.seed, date: Date.now() };
+        if (!TetrisModes.isBetterRecord(this.mode, result, this.personalBests[this.recordKey])) {
+            return false;
+        }
+        
+        this.personalBests[this.recordKey] = result;
+        try {
+            localStorage.setItem('tetrisPersonalBests', JSON.stringify(this.personalBests));
+        } catch (error) {
+            console.warn('Could not save personal best:', error);
+        }
+        return true;
+    }
+    
+    /**
+     * Load stored replays, newest first
+     */
+    loadReplays() {
+        try {
+            const replays = JSON.parse(localStorage.getItem('tetrisReplays') || '[]');
+            return Array.isArray(replays) ? replays : [];
+        } catch (error) {
+            console.warn('Could not load replays:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Store the current game's replay, replacing any earlier save of the
+     * same game and keeping only the newest MAX_STORED_REPLAYS
+     */
+    saveReplay() {
+        if (!this.recorder || this.engine.piecesPlaced === 0) return;
+        this.gameReplay = this.recorder.toReplay(this.getReplayResult());
+        this.storeReplay(this.gameReplay);
+    }
+    
+    /**
+     * Summary of the current game for replay listings
+     */
+    getReplayResult() {
+        return {
+            score: this.engine.score,
+            lines: this.engine.lines,
+            level: this.formatLevel(),
+            time: this.engine.time,
+            finished: this.engine.finished
+        };
+    }
+    
+    /**
+     * Add a replay to the stored list, newest first
+     */
+    storeReplay(replay) {
+        this.replays = [replay, ...this.replays.filter(stored => stored.id !== replay.id)]
+            .slice(0, TetrisReplay.MAX_STORED_REPLAYS);
+        try {
+            localStorage.setItem('tetrisReplays', JSON.stringify(this.replays));
+        } catch (error) {
+            console.warn('Could not save replay:', error);
+        }
+    }
+    
+    /**
+     * Save the game in progress so it can be continued from the main menu,
+     * even after the page is closed. Games nobody has touched yet are not
+     * worth continuing.
+     */
+    saveGame() {
+        if (!this.gameRunning || !this.recorder || this.engine.isOver || !this.engine.timerStarted) return;
+        
+        const saved = {
+            version: this.SAVE_VERSION,
+            date: Date.now(),
+            engine: this.engine.getState(),
+            effects: this.effectsRng.getState(),
+            presses: this.input.presses,
+            replay: this.recorder.toReplay(this.getReplayResult())
+        };
+        try {
+            localStorage.setItem('tetrisSavedGame', JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save game:', error);
+        }
+    }
+    
+    /**
+     * Load the saved game, or null if there is none or it cannot be resumed
+     */
+    loadSavedGame() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tetrisSavedGame') || 'null');
+            if (!saved) return null;
+            if (saved.version !== this.SAVE_VERSION) {
+                throw new Error(`Unsupported save version ${saved.version}`);
+            }
+            TetrisReplay.validateReplay(saved.replay);
+            const fitError = this.getBoardFitError(saved.replay.settings, this.getReplayPieces(saved.replay));
+            if (fitError) {
+                throw new Error(fitError);
+            }
+            return saved;
+        } catch (error) {
+            console.warn('Could not load saved game:', error);
+            return null;
+        }
+    }
+    
+    clearSavedGame() {
+        try {
+            localStorage.removeItem('tetrisSavedGame');
+        } catch (error) {
+            console.warn('Could not clear saved game:', error);
+        }
+    }
+    
+    /**
+     * Offer Continue on the main menu while there is a saved game
+     */
+    updateContinueButton() {
+        const button = document.getElementById('continueBtn');
+        const saved = this.loadSavedGame();
+        button.classList.toggle('hidden', !saved);
+        if (saved) {
+            const mode = TetrisModes.MODES[saved.replay.settings.mode];
+            button.textContent = `CONTINUE ${mode ? mode.label : ''}`.trim();
+        }
+    }
+    
+    /**
+     * Load the stored custom piece set, or null if there is none or it no
+     * longer validates
+     */
+    loadCustomPieceSet() {
+        try {
+            const json = localStorage.getItem('tetrisCustomPieces');
+            return json ? TetrisPieces.parsePieceSet(json) : null;
+        } catch (error) {
+            console.warn('Could not load custom pieces:', error);
+            return null;
+        }
+    }
+    
+    loadKeyBindings() {
+        try {
+            return TetrisKeybindings.normalizeBindings(JSON.parse(localStorage.getItem('tetrisKeyBindings') || 'null'));
+        } catch (error) {
+            console.warn('Could not load key bindings:', error);
+            return TetrisKeybindings.normalizeBindings(null);
+        }
+    }
+    
+    saveKeyBindings() {
+        try {
+            localStorage.setItem('tetrisKeyBindings', JSON.stringify(this.keyBindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+    
+    // Game settings management
+    getDefaultSettings() {
+        return {
+            mode: TetrisModes.DEFAULT_MODE,
+            ultraDuration: TetrisModes.DEFAULT_ULTRA_DURATION,
+            digRows: TetrisModes.DEFAULT_DIG_ROWS,
+            digMessiness: TetrisModes.DEFAULT_DIG_MESSINESS,
+            zenGravity: TetrisModes.DEFAULT_ZEN_GRAVITY,
+            zenMusic: true,
+            fadeDelay: TetrisModes.DEFAULT_FADE_DELAY,
+            pieceSet: TetrisPieces.DEFAULT_PIECE_SET,
+            big: false,
+            preset: TetrisPresets.DEFAULT_PRESET,
+            ...TetrisPresets.PRESETS[TetrisPresets.DEFAULT_PRESET].rules,
+            ...TetrisInput.DEFAULT_HANDLING
+        };
+    }
+    
+    loadSettings() {
+        try {
+            const settings = this.normalizeSettings(JSON.parse(localStorage.getItem('tetrisSettings') || '{}'));
+            
+            // Settings saved before board fit was checked may leave no room
+            // for the pieces: drop Big mode, then the piece set
+            if (this.getBoardFitError(settings, this.getPieces(settings))) {
+                settings.big = false;
+            }
+            if (this.getBoardFitError(settings, this.getPieces(settings))) {
+                settings.pieceSet = TetrisPieces.DEFAULT_PIECE_SET;
+            }
+            return settings;
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+            return this.getDefaultSettings();
+        }
+    }
+    
+    /**
+     * Fill in missing settings and replace invalid ones with the defaults
+     */
+    normalizeSettings(stored) {
+        const defaults = this.getDefaultSettings();
+        const settings = { ...defaults, ...stored };
+        if (!TetrisModes.MODES[settings.mode]) {
+            settings.mode = defaults.mode;
+        }
+        if (!TetrisModes.ULTRA_DURATIONS.includes(settings.ultraDuration)) {
+            settings.ultraDuration = defaults.ultraDuration;
+        }
+        if (!TetrisModes.DIG_ROWS.includes(settings.digRows)) {
+            settings.digRows = defaults.digRows;
+        }
+        if (!TetrisModes.DIG_MESSINESS.includes(settings.digMessiness)) {
+            settings.digMessiness = defaults.digMessiness;
+        }
+        if (!TetrisModes.ZEN_GRAVITIES.includes(settings.zenGravity)) {
+            settings.zenGravity = defaults.zenGravity;
+        }
+        if (typeof settings.zenMusic !== 'boolean') {
+            settings.zenMusic = defaults.zenMusic;
+        }
+        if (!TetrisModes.FADE_DELAYS.includes(settings.fadeDelay)) {
+            settings.fadeDelay = defaults.fadeDelay;
+        }
+        if (!TetrisPieces.PIECE_SETS[settings.pieceSet]) {
+            settings.pieceSet = defaults.pieceSet;
+        }
+        if (typeof settings.big !== 'boolean') {
+            settings.big = defaults.big;
+        }
+        if (!TetrisRandomizer.RANDOMIZERS[settings.randomizer]) {
+            settings.randomizer = defaults.randomizer;
+        }
+        if (!(settings.previewCount >= 1 && settings.previewCount <= TetrisEngine.MAX_PREVIEWS)) {
+            settings.previewCount = defaults.previewCount;
+        }
+        if (!TetrisEngine.LOCK_RESET_MODES[settings.lockResetMode]) {
+            settings.lockResetMode = defaults.lockResetMode;
+        }
+        if (!TetrisGravity.CURVES[settings.gravityCurve]) {
+            settings.gravityCurve = defaults.gravityCurve;
+        }
+        for (const [key, [min, max]] of [['width', TetrisPresets.WIDTH_RANGE], ['height', TetrisPresets.HEIGHT_RANGE],
+            ['bufferHeight', TetrisPresets.BUFFER_RANGE]]) {
+            if (!Number.isInteger(settings[key]) || settings[key] < min || settings[key] > max) {
+                settings[key] = defaults[key];
+            }
+        }
+        if (!TetrisPresets.PRESETS[settings.preset] || !TetrisPresets.matchesPreset(settings.preset, settings)) {
+            settings.preset = 'custom';
+        }
+        for (const key of ['das', 'arr', 'dasCut']) {
+            if (typeof settings[key] !== 'number' || settings[key] < 0) {
+                settings[key] = defaults[key];
+            }
+        }
+        if (!this.SOFT_DROP_FACTORS.includes(settings.softDropFactor)) {
+            settings.softDropFactor = defaults.softDropFactor;
+        }
+        return settings;
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem('tetrisSettings', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
 }
 
 // Initialize game when page loads